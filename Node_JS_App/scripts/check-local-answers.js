@@ -0,0 +1,72 @@
+/**
+ * Check that the offline local providers answer questions the documents cover and answer
+ * "not found" for unrelated ones, with the default relevance threshold and chunking.
+ * Runs in a temporary storage directory, so the app's documents and answers are untouched.
+ *
+ * Usage: npm run check:local
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DOCUMENT = `Printer troubleshooting. Error code E-4512 means the printer is out of toner. Replace the cartridge and restart the printer.
+
+Leave policy. Employees get 12 days of sick leave per year. Unused sick leave does not carry over to the next year.
+
+Remote work. Staff may work from home two days per week with manager approval.
+
+Expenses. Travel expenses must be submitted within 30 days with receipts attached.
+`;
+
+const ANSWERED = [
+    'What does error code E-4512 mean?',
+    'how many days of sick leave?',
+    'Can I work from home?',
+    'When must travel expenses be submitted?'
+];
+
+const NOT_FOUND = [
+    'What is the capital of France?',
+    'Who won the football world cup?',
+    'How do I reset my password?'
+];
+
+// Storage paths and providers are read when the app modules load
+process.env.LLM_PROVIDER = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-local-check-'));
+process.chdir(workDir);
+
+const { processDocument } = await import('../src/document-processer.js');
+const { default: RAGService } = await import('../src/services/rag.service.js');
+const { queryDB } = await import('../src/store/sqlite.db.js');
+const { RETRIEVAL_CONFIG } = await import('../src/config/app.config.js');
+
+let failed = 0;
+
+try {
+    const filePath = path.join(workDir, 'policy.txt');
+    fs.writeFileSync(filePath, DOCUMENT);
+    await processDocument(filePath);
+    console.log(`Relevance threshold: ${RETRIEVAL_CONFIG.MIN_SIMILARITY}`);
+
+    for (const [questions, expectNotFound] of [[ANSWERED, false], [NOT_FOUND, true]]) {
+        for (const question of questions) {
+            const result = await RAGService.processPrompt(question, { bypassCache: true });
+            const { notFound, notFoundReason, bestScore } = result.metadata;
+            const ok = Boolean(notFound) === expectNotFound;
+            if (!ok) failed++;
+            console.log(`${ok ? '✅' : '❌'} "${question}": ${notFound ? `not found (${notFoundReason})` : 'answered'}, best score ${bestScore?.toFixed(3) ?? 'none'}`);
+        }
+    }
+} catch (error) {
+    console.error('❌ Check failed:', error);
+    failed++;
+} finally {
+    queryDB.close();
+    process.chdir(os.tmpdir());
+    fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+console.log(failed > 0 ? `${failed} check(s) failed` : 'All checks passed');
+process.exitCode = failed > 0 ? 1 : 0;
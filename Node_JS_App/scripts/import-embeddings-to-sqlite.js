@@ -0,0 +1,45 @@
+/**
+ * Copy every document from the file store (storage/embeddings) into the documents and
+ * chunks tables of queries.db, so EMBEDDING_STORE=sqlite starts with the same corpus.
+ * Documents already in the database are replaced. The files are left untouched.
+ *
+ * Usage: npm run migrate:sqlite
+ */
+import * as fileStore from '../src/store/embedding.store.js';
+import * as sqliteStore from '../src/store/sqlite-embedding.store.js';
+import { queryDB } from '../src/store/sqlite.db.js';
+
+// Document fields kept in their own columns rather than in the metadata JSON
+const DOCUMENT_FIELDS = ['pdfId', 'docId', 'docName', 'originalPath', 'createdAt', 'format', 'dimensions', 'chunks'];
+
+let imported = 0;
+let failed = 0;
+
+for (const docId of fileStore.listStoredEmbeddings()) {
+    const data = fileStore.loadEmbeddingsFromFile(docId);
+    if (!data || !Array.isArray(data.chunks)) {
+        console.error(`❌ ${docId}: unreadable embedding file, skipped`);
+        failed++;
+        continue;
+    }
+
+    try {
+        const metadata = Object.fromEntries(Object.entries(data).filter(([field]) => !DOCUMENT_FIELDS.includes(field)));
+        sqliteStore.saveEmbeddingsToFile(
+            data.originalPath || docId,
+            data.chunks,
+            data.chunks.map(chunk => ({ embedding: chunk.embedding })),
+            docId,
+            { ...metadata, docName: data.docName || data.pdfId || docId }
+        );
+        console.log(`✅ ${docId}: ${data.chunks.length} chunk(s) imported`);
+        imported++;
+    } catch (error) {
+        console.error(`❌ ${docId}: import failed:`, error.message);
+        failed++;
+    }
+}
+
+console.log(`Imported ${imported} document(s), ${failed} failed`);
+queryDB.close();
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,57 @@
+/**
+ * Convert legacy embedding files (vectors inline in pretty-printed JSON) to the
+ * manifest + packed Float32 vector format.
+ *
+ * Usage: npm run migrate:embeddings -- [--dry-run] [--no-backup]
+ *   --dry-run    only list the files that would be converted
+ *   --no-backup  do not keep the original file as <docId>.json.bak
+ */
+import fs from "fs";
+import path from "path";
+import { STORAGE_PATHS } from '../src/config/path.js';
+import { listStoredEmbeddings, loadEmbeddingsFromFile, writeEmbeddingDocument, VECTOR_FILE_FORMAT } from '../src/store/embedding.store.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const keepBackup = !args.includes('--no-backup');
+
+let converted = 0;
+let skipped = 0;
+let failed = 0;
+
+for (const docId of listStoredEmbeddings()) {
+    const data = loadEmbeddingsFromFile(docId);
+    if (!data || !Array.isArray(data.chunks)) {
+        console.error(`❌ ${docId}: unreadable embedding file, skipped`);
+        failed++;
+        continue;
+    }
+    if (data.format === VECTOR_FILE_FORMAT) {
+        skipped++;
+        continue;
+    }
+
+    const manifestPath = path.join(STORAGE_PATHS.EMBEDDINGS, `${docId}.json`);
+    const sizeBefore = fs.statSync(manifestPath).size;
+    if (dryRun) {
+        console.log(`🔍 ${docId}: would convert ${data.chunks.length} chunk(s) (${sizeBefore} bytes)`);
+        converted++;
+        continue;
+    }
+
+    try {
+        if (keepBackup) {
+            fs.copyFileSync(manifestPath, `${manifestPath}.bak`);
+        }
+        writeEmbeddingDocument(docId, data);
+        const sizeAfter = fs.statSync(manifestPath).size + fs.statSync(path.join(STORAGE_PATHS.EMBEDDINGS, `${docId}.f32`)).size;
+        console.log(`✅ ${docId}: ${data.chunks.length} chunk(s), ${sizeBefore} -> ${sizeAfter} bytes`);
+        converted++;
+    } catch (error) {
+        console.error(`❌ ${docId}: conversion failed:`, error.message);
+        failed++;
+    }
+}
+
+console.log(`${dryRun ? 'Would convert' : 'Converted'} ${converted} file(s), ${skipped} already converted, ${failed} failed`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,49 @@
+/**
+ * Build a chunk span from a slice of the source text, trimming surrounding whitespace
+ * @param {string} text - Source text
+ * @param {number} start - Slice start offset
+ * @param {number} end - Slice end offset (exclusive)
+ * @returns {Object|null} { text, startOffset, endOffset }, or null for a blank slice
+ */
+export function createSpan(text, start, end) {
+    const slice = text.slice(start, end);
+    const trimmed = slice.trim();
+    if (!trimmed) {
+        return null;
+    }
+
+    const startOffset = start + (slice.length - slice.trimStart().length);
+    return { text: trimmed, startOffset, endOffset: startOffset + trimmed.length };
+}
+
+/**
+ * Read a positive integer option, falling back to a default
+ * @param {Object} options - Strategy options
+ * @param {string} name - Option name
+ * @param {number} defaultValue - Value used when the option is missing
+ * @param {Object} limits - { min } lower bound (default 1)
+ * @returns {number} Option value
+ */
+export function readIntegerOption(options, name, defaultValue, { min = 1 } = {}) {
+    const value = options[name] ?? defaultValue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        const error = new Error(`"${name}" must be an integer >= ${min} (got ${JSON.stringify(value)})`);
+        error.code = 'INVALID_CHUNKING_OPTIONS';
+        throw error;
+    }
+    return number;
+}
+
+/**
+ * Reject option combinations that cannot make progress
+ * @param {boolean} condition - True when options are valid
+ * @param {string} message - Error message
+ */
+export function assertOption(condition, message) {
+    if (!condition) {
+        const error = new Error(message);
+        error.code = 'INVALID_CHUNKING_OPTIONS';
+        throw error;
+    }
+}
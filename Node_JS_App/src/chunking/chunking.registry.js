@@ -0,0 +1,87 @@
+import { sentenceStrategy } from './sentence.strategy.js';
+import { slidingWindowStrategy } from './sliding-window.strategy.js';
+import { tokenStrategy } from './token.strategy.js';
+import { paragraphStrategy } from './paragraph.strategy.js';
+import { CHUNKING_CONFIG } from '../config/app.config.js';
+
+// Chunking strategies by name (e.g. 'sliding-window' -> slidingWindowStrategy)
+const strategies = new Map();
+
+/**
+ * Register a chunking strategy
+ * @param {Object} strategy - Strategy with `name`, `resolveOptions(options)` and `chunk(text, options)`,
+ *   where chunk returns { text, startOffset, endOffset } spans of the source text
+ */
+export function registerChunkingStrategy(strategy) {
+    if (!strategy || !strategy.name || typeof strategy.chunk !== 'function' || typeof strategy.resolveOptions !== 'function') {
+        throw new Error('Chunking strategy must declare a name, resolveOptions(options) and chunk(text, options)');
+    }
+    strategies.set(strategy.name, strategy);
+}
+
+/**
+ * List the registered strategy names
+ * @returns {string[]} Strategy names
+ */
+export function getChunkingStrategies() {
+    return [...strategies.keys()];
+}
+
+/**
+ * Resolve a strategy name and its options, applying defaults and validating values
+ * @param {string} [strategyName] - Strategy name (default: CHUNKING_CONFIG.DEFAULT_STRATEGY)
+ * @param {Object} [options] - Strategy options
+ * @returns {Object} { strategy, options } - the settings recorded with the document
+ */
+export function resolveChunkingSettings(strategyName, options = {}) {
+    const name = strategyName || CHUNKING_CONFIG.DEFAULT_STRATEGY;
+    const strategy = strategies.get(name);
+    if (!strategy) {
+        const error = new Error(`Unknown chunking strategy "${name}". Available: ${getChunkingStrategies().join(', ')}`);
+        error.code = 'INVALID_CHUNKING_OPTIONS';
+        throw error;
+    }
+    return { strategy: name, options: strategy.resolveOptions(options) };
+}
+
+/**
+ * Read the chunking choice sent with an ingest request
+ * @param {Object} params - Request body or query with `chunkStrategy` and `chunkOptions`
+ *   (chunkOptions may be an object or a JSON string, as sent in multipart forms)
+ * @returns {Object} { strategy, options } ready for resolveChunkingSettings
+ */
+export function readChunkingRequest(params = {}) {
+    let options = params.chunkOptions || {};
+    if (typeof options === 'string') {
+        try {
+            options = JSON.parse(options);
+        } catch (parseError) {
+            const error = new Error(`"chunkOptions" must be a JSON object: ${parseError.message}`);
+            error.code = 'INVALID_CHUNKING_OPTIONS';
+            throw error;
+        }
+    }
+    if (typeof options !== 'object' || Array.isArray(options) || options === null) {
+        const error = new Error('"chunkOptions" must be a JSON object');
+        error.code = 'INVALID_CHUNKING_OPTIONS';
+        throw error;
+    }
+    return { strategy: params.chunkStrategy || undefined, options };
+}
+
+/**
+ * Split document text into chunk spans with the chosen strategy
+ * @param {string} text - Document text
+ * @param {Object} settings - { strategy, options } from resolveChunkingSettings
+ * @returns {Array} Array of { text, startOffset, endOffset }
+ */
+export function chunkText(text, settings) {
+    const strategy = strategies.get(settings.strategy);
+    if (!strategy) {
+        throw new Error(`Unknown chunking strategy "${settings.strategy}"`);
+    }
+    return strategy.chunk(text || '', settings.options);
+}
+
+// Built-in strategies
+[sentenceStrategy, slidingWindowStrategy, tokenStrategy, paragraphStrategy].forEach(registerChunkingStrategy);
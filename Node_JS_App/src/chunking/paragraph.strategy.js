@@ -0,0 +1,74 @@
+import { createSpan, readIntegerOption } from './chunk.span.js';
+import { slidingWindowSpans } from './sliding-window.strategy.js';
+import { CHUNKING_CONFIG } from '../config/app.config.js';
+
+// Markdown headings, numbered section titles ("4 Design Requirements", "3.2.1 Scope") and ALL CAPS titles
+const HEADING_PATTERN = /^(#{1,6}\s+\S.*|\d+(\.\s?\d+)*\.?\s+\S[^.!?]{0,80}|[A-Z][A-Z0-9 &/:,-]{2,80})$/;
+
+/**
+ * Find paragraphs (runs of non-blank lines) with their offsets
+ * @param {string} text - Document text
+ * @returns {Array} Array of { text, startOffset, endOffset, isHeading }
+ */
+function findParagraphs(text) {
+    return [...text.matchAll(/[^\n]*\S[^\n]*(?:\n[^\n]*\S[^\n]*)*/g)]
+        .map(match => createSpan(text, match.index, match.index + match[0].length))
+        .filter(Boolean)
+        .map(paragraph => ({
+            ...paragraph,
+            isHeading: !paragraph.text.includes('\n') && HEADING_PATTERN.test(paragraph.text)
+        }));
+}
+
+/**
+ * Paragraph strategy - keeps paragraphs whole and starts a new chunk at every heading,
+ * packing following paragraphs of the same section up to maxChunkSize characters.
+ * Paragraphs longer than maxChunkSize are split into windows without overlap.
+ */
+export const paragraphStrategy = {
+    name: 'paragraph',
+
+    resolveOptions(options = {}) {
+        return {
+            maxChunkSize: readIntegerOption(options, 'maxChunkSize', CHUNKING_CONFIG.PARAGRAPH.MAX_CHUNK_SIZE)
+        };
+    },
+
+    chunk(text, options) {
+        const spans = [];
+        let current = null;
+
+        const flush = () => {
+            if (current) {
+                spans.push(createSpan(text, current.startOffset, current.endOffset));
+                current = null;
+            }
+        };
+
+        for (const paragraph of findParagraphs(text)) {
+            if (paragraph.isHeading) {
+                flush();
+            }
+
+            if (paragraph.text.length > options.maxChunkSize) {
+                flush();
+                spans.push(...slidingWindowSpans(paragraph.text, options.maxChunkSize, 0, paragraph.startOffset));
+                continue;
+            }
+
+            const currentLength = current ? current.endOffset - current.startOffset : 0;
+            if (current && currentLength + 2 + paragraph.text.length > options.maxChunkSize) {
+                flush();
+            }
+
+            if (current) {
+                current.endOffset = paragraph.endOffset;
+            } else {
+                current = { startOffset: paragraph.startOffset, endOffset: paragraph.endOffset };
+            }
+        }
+        flush();
+
+        return spans;
+    }
+};
@@ -0,0 +1,32 @@
+import { createTextChunkSpans } from '../services/chunk.generator.js';
+import { readIntegerOption } from './chunk.span.js';
+import { EMBEDDING_CONFIG } from '../config/app.config.js';
+
+/**
+ * Sentence strategy - the original chunker: splits on sentence punctuation and packs
+ * sentences up to maxChunkSize characters, without overlap
+ */
+export const sentenceStrategy = {
+    name: 'sentence',
+
+    /**
+     * Resolve the options used by this strategy
+     * @param {Object} options - { maxChunkSize }
+     * @returns {Object} Validated options with defaults applied
+     */
+    resolveOptions(options = {}) {
+        return {
+            maxChunkSize: readIntegerOption(options, 'maxChunkSize', EMBEDDING_CONFIG.CHUNK_SIZE_LIMIT)
+        };
+    },
+
+    /**
+     * Split text into chunk spans
+     * @param {string} text - Document text
+     * @param {Object} options - Resolved options
+     * @returns {Array} Array of { text, startOffset, endOffset }
+     */
+    chunk(text, options) {
+        return createTextChunkSpans(text, options.maxChunkSize);
+    }
+};
@@ -0,0 +1,70 @@
+import { createSpan, readIntegerOption, assertOption } from './chunk.span.js';
+import { CHUNKING_CONFIG } from '../config/app.config.js';
+
+/**
+ * Split text into fixed size character windows that overlap, moving window edges
+ * back to whitespace so words are not cut
+ * @param {string} text - Text to split
+ * @param {number} chunkSize - Window size in characters
+ * @param {number} overlap - Characters shared by consecutive windows
+ * @param {number} baseOffset - Offset of `text` inside the document (for nested use)
+ * @returns {Array} Array of { text, startOffset, endOffset }
+ */
+export function slidingWindowSpans(text, chunkSize, overlap, baseOffset = 0) {
+    const spans = [];
+    let start = text.search(/\S/);
+    if (start === -1) {
+        return spans;
+    }
+
+    while (start < text.length) {
+        let end = Math.min(start + chunkSize, text.length);
+
+        // Do not cut a word in half unless the window holds a single huge word
+        if (end < text.length && /\S/.test(text[end]) && /\S/.test(text[end - 1])) {
+            const lastSpace = text.slice(start, end).search(/\s\S*$/);
+            if (lastSpace > chunkSize / 2) {
+                end = start + lastSpace;
+            }
+        }
+
+        const span = createSpan(text, start, end);
+        if (span) {
+            spans.push({ ...span, startOffset: span.startOffset + baseOffset, endOffset: span.endOffset + baseOffset });
+        }
+        if (end >= text.length) {
+            break;
+        }
+
+        // Step back by the overlap, then forward to the start of the next word
+        let nextStart = Math.max(end - overlap, start + 1);
+        while (nextStart < end && /\S/.test(text[nextStart - 1]) && /\S/.test(text[nextStart])) {
+            nextStart++;
+        }
+        while (nextStart < text.length && /\s/.test(text[nextStart])) {
+            nextStart++;
+        }
+        start = nextStart;
+    }
+
+    return spans;
+}
+
+/**
+ * Sliding window strategy - fixed character windows with overlap, so facts that fall
+ * on a chunk boundary appear whole in at least one chunk
+ */
+export const slidingWindowStrategy = {
+    name: 'sliding-window',
+
+    resolveOptions(options = {}) {
+        const chunkSize = readIntegerOption(options, 'chunkSize', CHUNKING_CONFIG.SLIDING_WINDOW.CHUNK_SIZE);
+        const overlap = readIntegerOption(options, 'overlap', CHUNKING_CONFIG.SLIDING_WINDOW.OVERLAP, { min: 0 });
+        assertOption(overlap < chunkSize, '"overlap" must be smaller than "chunkSize"');
+        return { chunkSize, overlap };
+    },
+
+    chunk(text, options) {
+        return slidingWindowSpans(text, options.chunkSize, options.overlap);
+    }
+};
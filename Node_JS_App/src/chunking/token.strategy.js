@@ -0,0 +1,38 @@
+import { createSpan, readIntegerOption, assertOption } from './chunk.span.js';
+import { findTokenSpans } from '../utils/tokenizer.js';
+import { CHUNKING_CONFIG } from '../config/app.config.js';
+
+/**
+ * Token strategy - chunks hold at most maxTokens model-style tokens, and consecutive
+ * chunks share overlapTokens tokens. Sizes chunks by what embedding models actually count.
+ */
+export const tokenStrategy = {
+    name: 'token',
+
+    resolveOptions(options = {}) {
+        const maxTokens = readIntegerOption(options, 'maxTokens', CHUNKING_CONFIG.TOKEN.MAX_TOKENS);
+        const overlapTokens = readIntegerOption(options, 'overlapTokens', CHUNKING_CONFIG.TOKEN.OVERLAP_TOKENS, { min: 0 });
+        assertOption(overlapTokens < maxTokens, '"overlapTokens" must be smaller than "maxTokens"');
+        return { maxTokens, overlapTokens };
+    },
+
+    chunk(text, options) {
+        const tokens = findTokenSpans(text);
+        const spans = [];
+
+        let first = 0;
+        while (first < tokens.length) {
+            const last = Math.min(first + options.maxTokens, tokens.length) - 1;
+            const span = createSpan(text, tokens[first].start, tokens[last].end);
+            if (span) {
+                spans.push(span);
+            }
+            if (last === tokens.length - 1) {
+                break;
+            }
+            first = Math.max(last + 1 - options.overlapTokens, first + 1);
+        }
+
+        return spans;
+    }
+};
@@ -9,6 +9,15 @@ export const ENV_CONFIG = {
     GEMINI_MODEL_FLASH_PREVIEW: process.env.GEMINI_MODEL_FLASH_PREVIEW || 'gemini-3-flash-preview',
     GEMINI_MODEL_FLASH_LATEST: process.env.GEMINI_MODEL_FLASH_LATEST || 'gemini-1.5-flash-latest',
     GEMINI_MODEL_EMBEDDING: process.env.GEMINI_MODEL_EMBEDDING || 'gemini-embedding-001',
+    LLM_PROVIDER: (process.env.LLM_PROVIDER || 'gemini').toLowerCase(),
+    EMBEDDING_PROVIDER: (process.env.EMBEDDING_PROVIDER || process.env.LLM_PROVIDER || 'gemini').toLowerCase(),
+    OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
+    OPENAI_CHAT_MODEL: process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini',
+    OPENAI_EMBEDDING_MODEL: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+    OLLAMA_BASE_URL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    OLLAMA_CHAT_MODEL: process.env.OLLAMA_CHAT_MODEL || 'llama3.1',
+    OLLAMA_EMBEDDING_MODEL: process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text',
     PORT: parseInt(process.env.PORT) || 4100,
     NODE_ENV: process.env.NODE_ENV || 'development'
 };
@@ -27,19 +36,133 @@ export const SERVER_CONFIG = {
     DEFAULT_HOST: 'localhost'
 };
 
+// LLM / Embedding Provider Configuration
+export const PROVIDER_CONFIG = {
+    SUPPORTED_PROVIDERS: ['gemini', 'openai', 'ollama', 'local'],
+    REQUEST_TIMEOUT_MS: parseInt(process.env.PROVIDER_REQUEST_TIMEOUT_MS) || 60000
+};
+
+// Offline "local" provider (development and tests)
+export const LOCAL_PROVIDER_CONFIG = {
+    EMBEDDING_DIMENSIONS: parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 512,
+    ANSWER_MAX_SENTENCES: 3,
+    // Feature-hash vectors score far lower than model embeddings: in-document questions reach ~0.17-0.3
+    MIN_SIMILARITY: 0.15
+};
+
 // Embedding Configuration
 export const EMBEDDING_CONFIG = {
-    DEFAULT_TOP_CHUNKS: 3,
+    DEFAULT_TOP_CHUNKS: parseInt(process.env.RETRIEVAL_TOP_K) || 3,
     CHUNK_SIZE_LIMIT: 700,
     TEXT_PREVIEW_LENGTH: 50,
-    FULL_TEXT_PREVIEW_LENGTH: 150
+    FULL_TEXT_PREVIEW_LENGTH: 150,
+    // Ingest pipeline: chunks per embedding request, requests in flight, and retries on 429/5xx
+    BATCH_SIZE: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 20,
+    CONCURRENCY: parseInt(process.env.EMBEDDING_CONCURRENCY) || 2,
+    MAX_RETRIES: 5,
+    RETRY_BASE_DELAY_MS: 1000,
+    RETRY_MAX_DELAY_MS: 30000
+};
+
+// Retrieval Configuration (hybrid BM25 + vector search merged with reciprocal rank fusion)
+// When no retrieved chunk reaches MIN_SIMILARITY (cosine), the "not found" answer is returned without an LLM call;
+// its default depends on the embedding provider
+export const RETRIEVAL_CONFIG = {
+    HYBRID_SEARCH_ENABLED: process.env.HYBRID_SEARCH_ENABLED !== 'false',
+    MIN_SIMILARITY: process.env.RETRIEVAL_MIN_SIMILARITY !== undefined
+        ? parseFloat(process.env.RETRIEVAL_MIN_SIMILARITY)
+        : ENV_CONFIG.EMBEDDING_PROVIDER === 'local' ? LOCAL_PROVIDER_CONFIG.MIN_SIMILARITY : 0.3,
+    VECTOR_WEIGHT: parseFloat(process.env.RETRIEVAL_VECTOR_WEIGHT) || 1,
+    KEYWORD_WEIGHT: parseFloat(process.env.RETRIEVAL_KEYWORD_WEIGHT) || 1,
+    RRF_K: parseInt(process.env.RETRIEVAL_RRF_K) || 60,
+    BM25_K1: 1.2,
+    BM25_B: 0.75
+};
+
+// Reranking Configuration
+// The first pass retrieves CANDIDATES chunks, the reranker ('none', 'lexical' or 'llm') keeps the best
+// DEFAULT_TOP_CHUNKS of them for the LLM context
+export const RERANK_CONFIG = {
+    RERANKER: process.env.RERANKER || 'none',
+    CANDIDATES: parseInt(process.env.RERANK_CANDIDATES) || 30,
+    // Lexical reranker: share of the score given to question phrases (adjacent terms) found verbatim
+    LEXICAL_PHRASE_WEIGHT: 0.3,
+    // LLM reranker: characters of each passage sent for grading, and the top grade asked for
+    LLM_PASSAGE_MAX_LENGTH: 800,
+    LLM_MAX_SCORE: 10
+};
+
+// Diversity (Maximal Marginal Relevance) Configuration
+// The final context is picked from the best CANDIDATES chunks, trading relevance against similarity to the
+// chunks already picked: LAMBDA 1 keeps the relevance order, lower values favour distinct passages
+export const MMR_CONFIG = {
+    ENABLED: process.env.MMR_ENABLED !== 'false',
+    LAMBDA: process.env.MMR_LAMBDA !== undefined ? parseFloat(process.env.MMR_LAMBDA) : 0.7,
+    CANDIDATES: parseInt(process.env.MMR_CANDIDATES) || 20
+};
+
+// Approximate nearest neighbour (HNSW) index Configuration
+// Smaller searches (fewer compatible chunks than MIN_CHUNKS) use exact cosine similarity
+export const ANN_CONFIG = {
+    ENABLED: process.env.ANN_SEARCH_ENABLED !== 'false',
+    MIN_CHUNKS: process.env.ANN_MIN_CHUNKS !== undefined ? parseInt(process.env.ANN_MIN_CHUNKS) : 200,
+    CANDIDATES: 50,
+    M: 16,
+    EF_CONSTRUCTION: 100,
+    EF_SEARCH: 64,
+    MAX_DELETED_RATIO: 0.3
+};
+
+// Chunking Configuration (strategy can be chosen per document at ingest time)
+export const CHUNKING_CONFIG = {
+    DEFAULT_STRATEGY: process.env.CHUNK_STRATEGY || 'sentence',
+    SLIDING_WINDOW: {
+        CHUNK_SIZE: 700,
+        OVERLAP: 100
+    },
+    TOKEN: {
+        MAX_TOKENS: 200,
+        OVERLAP_TOKENS: 20
+    },
+    PARAGRAPH: {
+        MAX_CHUNK_SIZE: 1000
+    }
+};
+
+// Conversation sessions Configuration
+// Follow-up questions are rewritten into standalone queries before retrieval, and the most
+// recent turns that fit in HISTORY_MAX_TOKENS are added to the LLM prompt
+export const CONVERSATION_CONFIG = {
+    HISTORY_MAX_TOKENS: parseInt(process.env.CONVERSATION_HISTORY_MAX_TOKENS) || 1000,
+    REWRITE_HISTORY_MESSAGES: 6,
+    // Only follow-ups are rewritten: short questions, or ones that refer back to the conversation
+    FOLLOW_UP_MAX_TERMS: 2,
+    FOLLOW_UP_PATTERN: /\b(it|its|this|that|these|those|they|them|their|he|she|one|ones|first|second|third|last|previous|above|other|same|more|also)\b|^(and|but|so|what about|how about)\b/i
 };
 
 // Cache Configuration
+// Prompt embeddings are cached per embedding model, expire after PROMPT_CACHE_TTL_SECONDS and the
+// least recently used ones are evicted beyond PROMPT_CACHE_MAX_ENTRIES or PROMPT_CACHE_MAX_SIZE.
+// The semantic answer cache returns a saved answer when a new prompt's embedding is at least
+// SEMANTIC_SIMILARITY_THRESHOLD similar (cosine) to the prompt of that answer
 export const CACHE_CONFIG = {
     PROMPT_KEY_PREFIX: 'prompt_',
     HASH_ALGORITHM: 'md5',
-    HASH_ENCODING: 'hex'
+    HASH_ENCODING: 'hex',
+    PROMPT_CACHE_TTL_SECONDS: parseInt(process.env.PROMPT_CACHE_TTL_SECONDS) || 7 * 24 * 60 * 60,
+    PROMPT_CACHE_MAX_ENTRIES: parseInt(process.env.PROMPT_CACHE_MAX_ENTRIES) || 1000,
+    PROMPT_CACHE_MAX_SIZE: process.env.PROMPT_CACHE_MAX_SIZE || '50MB',
+    SEMANTIC_CACHE_ENABLED: process.env.SEMANTIC_CACHE_ENABLED !== 'false',
+    SEMANTIC_SIMILARITY_THRESHOLD: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.95,
+    // Stale answers recomputed per POST /queries/stale/recompute call
+    STALE_RECOMPUTE_LIMIT: 20
+};
+
+// Embedding Storage Configuration
+// 'file': storage/embeddings (JSON manifest + .f32 vectors), 'sqlite': documents/chunks tables in queries.db
+export const STORAGE_CONFIG = {
+    EMBEDDING_STORE: process.env.EMBEDDING_STORE || 'file',
+    SUPPORTED_EMBEDDING_STORES: ['file', 'sqlite']
 };
 
 // File Processing Configuration
@@ -48,6 +171,26 @@ export const PDF_CONFIG = {
     SUPPORTED_FORMATS: ['pdf']
 };
 
+// Document Upload Configuration
+export const UPLOAD_CONFIG = {
+    FIELD_NAME: 'file'
+};
+
+// Document API Configuration (GET /documents/:id/chunks pagination)
+export const DOCUMENT_API_CONFIG = {
+    DEFAULT_PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100,
+    // Document ids are file names in the store, so nothing else may reach the filesystem
+    DOCUMENT_ID_PATTERN: /^[A-Za-z0-9_-]+$/
+};
+
+// Query API Configuration (limits of the POST /query options)
+export const QUERY_API_CONFIG = {
+    MAX_TOP_K: 20,
+    MAX_TEMPERATURE: 2,
+    MAX_OUTPUT_TOKENS: 8192
+};
+
 // API Response Messages
 export const API_MESSAGES = {
     SERVER_RUNNING: 'Smart Document Assistant Node server is running.\n',
@@ -55,16 +198,30 @@ export const API_MESSAGES = {
     EMBEDDING_ERROR: 'Failed to generate embeddings',
     PROMPT_CACHE_CLEARED: 'Prompt cache cleared successfully',
     DOCUMENT_NOT_FOUND: 'Answer not found in document.',
-    INVALID_PROMPT: 'Please provide a prompt parameter'
+    INVALID_PROMPT: 'Please provide a prompt parameter',
+    DOCUMENT_UPLOADED: 'Document uploaded and processed successfully',
+    NO_FILE_UPLOADED: 'Please upload a document in the "file" field',
+    DOCUMENT_DELETED: 'Document deleted successfully',
+    INVALID_MESSAGE: 'Please provide a "message" in the request body',
+    SESSION_CREATED: 'Session created successfully'
 };
 
 // LLM Configuration
 export const LLM_CONFIG = {
     SYSTEM_PROMPT: `You are an assistant that answers ONLY from the provided document context.
+    The context is split into numbered passages like [1], [2]. After each statement, cite the passage(s)
+    it comes from with the same markers, e.g. [1] or [2][3]. Do not cite passages that are not in the context.
     If the answer is not present, say: "Answer not found in document."`,
     CONTEXT_START_MARKER: '--- DOCUMENT CONTEXT ---:',
     CONTEXT_END_MARKER: '--- END DOCUMENT CONTEXT ---',
-    QUESTION_LABEL: 'Question:'
+    QUESTION_LABEL: 'Question:',
+    CONVERSATION_LABEL: 'Conversation so far:',
+    REWRITE_PROMPT: `Rewrite the follow-up question as a standalone question that can be understood
+    without the conversation. Keep names, numbers and terms from the conversation that the question refers to.
+    Reply with the rewritten question only.`,
+    RERANK_PROMPT: `Grade how well each numbered passage answers the question, from 0 (unrelated)
+    to 10 (answers it fully). Reply with a JSON object that maps every passage number to its grade,
+    e.g. {"1": 7, "2": 0}, and nothing else.`
 };
 
 // Error Messages
@@ -77,7 +234,27 @@ export const ERROR_MESSAGES = {
     LIST_EMBEDDINGS_ERROR: 'Failed to list embeddings',
     GET_TOP_CHUNKS_ERROR: 'Failed to get top chunks',
     GET_CACHED_PROMPTS_ERROR: 'Failed to get cached prompts',
-    CLEAR_CACHE_ERROR: 'Failed to clear cache'
+    CLEAR_CACHE_ERROR: 'Failed to clear cache',
+    GET_CACHE_STATS_ERROR: 'Failed to get cache statistics',
+    DOCUMENT_UPLOAD_ERROR: 'Failed to upload document',
+    UNSUPPORTED_FILE_TYPE: 'Unsupported file type',
+    FILE_TOO_LARGE: 'File exceeds the maximum allowed size',
+    UNKNOWN_DOCUMENT_IDS: 'Unknown document ids',
+    INVALID_CHUNKING_OPTIONS: 'Invalid chunking options',
+    UNKNOWN_DOCUMENT: 'Document not found',
+    LIST_DOCUMENTS_ERROR: 'Failed to list documents',
+    GET_DOCUMENT_ERROR: 'Failed to get document',
+    DELETE_DOCUMENT_ERROR: 'Failed to delete document',
+    INVALID_PAGINATION: 'Invalid pagination parameters',
+    SESSION_NOT_FOUND: 'Session not found',
+    CREATE_SESSION_ERROR: 'Failed to create session',
+    GET_SESSION_ERROR: 'Failed to get session',
+    GET_STALE_QUERIES_ERROR: 'Failed to get stale answers',
+    RECOMPUTE_STALE_QUERIES_ERROR: 'Failed to recompute stale answers',
+    INVALID_RERANKER: 'Invalid reranker',
+    GET_UNANSWERED_QUESTIONS_ERROR: 'Failed to get unanswered questions',
+    INVALID_QUERY_OPTIONS: 'Invalid query options',
+    EXPLAIN_QUERY_ERROR: 'Failed to explain query'
 };
 
 // Logging Configuration
@@ -88,7 +265,35 @@ export const LOGGING_CONFIG = {
 
 // Validation function to check if required environment variables are set
 export function validateEnvironmentConfig() {
-    const requiredVars = ['GEMINI_API_KEY'];
+    const selectedProviders = [ENV_CONFIG.LLM_PROVIDER, ENV_CONFIG.EMBEDDING_PROVIDER];
+    const unknownProviders = selectedProviders.filter(name => !PROVIDER_CONFIG.SUPPORTED_PROVIDERS.includes(name));
+
+    if (unknownProviders.length > 0) {
+        console.error(`❌ Unknown provider(s): ${[...new Set(unknownProviders)].join(', ')}`);
+        console.error(`Set LLM_PROVIDER / EMBEDDING_PROVIDER to one of: ${PROVIDER_CONFIG.SUPPORTED_PROVIDERS.join(', ')}`);
+        return false;
+    }
+
+    if (!(RETRIEVAL_CONFIG.MIN_SIMILARITY >= -1 && RETRIEVAL_CONFIG.MIN_SIMILARITY <= 1)) {
+        console.error(`❌ Invalid RETRIEVAL_MIN_SIMILARITY: ${process.env.RETRIEVAL_MIN_SIMILARITY}`);
+        console.error('Set RETRIEVAL_MIN_SIMILARITY to a cosine similarity between -1 and 1 (0 disables the threshold)');
+        return false;
+    }
+
+    if (!(MMR_CONFIG.LAMBDA >= 0 && MMR_CONFIG.LAMBDA <= 1)) {
+        console.error(`❌ Invalid MMR_LAMBDA: ${process.env.MMR_LAMBDA}`);
+        console.error('Set MMR_LAMBDA to a number between 0 (most diverse) and 1 (most relevant)');
+        return false;
+    }
+
+    if (!STORAGE_CONFIG.SUPPORTED_EMBEDDING_STORES.includes(STORAGE_CONFIG.EMBEDDING_STORE)) {
+        console.error(`❌ Unknown embedding store: ${STORAGE_CONFIG.EMBEDDING_STORE}`);
+        console.error(`Set EMBEDDING_STORE to one of: ${STORAGE_CONFIG.SUPPORTED_EMBEDDING_STORES.join(', ')}`);
+        return false;
+    }
+
+    // The Gemini API key is only needed when Gemini serves chat or embeddings
+    const requiredVars = selectedProviders.includes('gemini') ? ['GEMINI_API_KEY'] : [];
     const missing = requiredVars.filter(varName => !ENV_CONFIG[varName]);
     
     if (missing.length > 0) {
@@ -98,13 +303,13 @@ export function validateEnvironmentConfig() {
     }
     
     // Check if API key is still the placeholder value
-    if (ENV_CONFIG.GEMINI_API_KEY === 'YOUR_NEW_API_KEY_HERE') {
+    if (requiredVars.includes('GEMINI_API_KEY') && ENV_CONFIG.GEMINI_API_KEY === 'YOUR_NEW_API_KEY_HERE') {
         console.error('❌ GEMINI_API_KEY is still set to placeholder value');
         console.error('Please update your .env file with your actual Gemini API key:');
         console.error('GEMINI_API_KEY=your_actual_api_key_here');
         return false;
     }
     
-    console.log('✅ Environment configuration validated successfully');
+    console.log(`✅ Environment configuration validated successfully (LLM: ${ENV_CONFIG.LLM_PROVIDER}, embeddings: ${ENV_CONFIG.EMBEDDING_PROVIDER})`);
     return true;
 }
\ No newline at end of file
@@ -10,7 +10,11 @@ export const BASE_DIRS = {
 export const STORAGE_PATHS = {
     EMBEDDINGS: path.join(BASE_DIRS.STORAGE, "embeddings"),
     DOCUMENTS: path.join(BASE_DIRS.STORAGE, "documents"), 
+    UPLOADS: path.join(BASE_DIRS.STORAGE, "uploads"),
     CACHE: path.join(BASE_DIRS.STORAGE, "cache"),
+    KEYWORD_INDEX: path.join(BASE_DIRS.STORAGE, "keyword-index"),
+    ANN_INDEX: path.join(BASE_DIRS.STORAGE, "ann-index"),
+    CHECKPOINTS: path.join(BASE_DIRS.STORAGE, "checkpoints"),
 };
 
 // File paths
@@ -22,5 +26,5 @@ export const FILE_PATHS = {
 // File extensions
 export const ALLOWED_DOC_EXTENSIONS = {
     PDF: ['.pdf'],
-    DOCUMENTS: ['.pdf', '.doc', '.docx', '.txt']
+    DOCUMENTS: ['.pdf', '.docx', '.txt', '.md', '.markdown', '.html', '.htm']
 };
\ No newline at end of file
@@ -1,27 +1,112 @@
-import { PDFParse } from 'pdf-parse';
-import { generateChunkEmbeddings, parseEmbeddings } from "./vector-operations/embedding.generator.js";
-import { generatePdfId } from "./store/embedding.store.js";
-import { createTextChunks } from "./services/chunk.generator.js";
+import path from "path";
+import { generateChunkEmbeddings, parseEmbeddings, loadCorpusChunkEmbeddings } from "./vector-operations/embedding.generator.js";
+import { addDocumentToAnnIndex } from "./vector-operations/ann.index.js";
+import { generatePdfId, hashFileContent, listStoredEmbeddings, loadEmbeddingsFromFile } from "./store/document.store.js";
+import { indexDocumentKeywords } from "./store/keyword-index.store.js";
+import DocumentService from "./services/document.service.js";
+import { findPageForOffset } from "./services/chunk.generator.js";
+import { resolveChunkingSettings, chunkText } from "./chunking/chunking.registry.js";
+import { extractDocument } from "./extractors/extractor.registry.js";
+import { hashText } from "./utils/util.js";
 
 /**
- * Processes a PDF file by extracting text, creating text chunks, generating embeddings,
- * and parsing the embeddings for further use.
+ * Find stored versions of a document with the same file name but different content
+ * @param {string} docName - File name of the document (e.g. 'manual.pdf')
+ * @param {string} docId - Identifier of the version being ingested
+ * @returns {string[]} Document ids of the other versions
+ */
+function findPreviousVersions(docName, docId) {
+    return listStoredEmbeddings().filter(storedId => {
+        if (storedId === docId) return false;
+        const data = loadEmbeddingsFromFile(storedId);
+        return (data?.docName || data?.pdfId) === docName;
+    });
+}
+
+/**
+ * Compare the chunks of a new version with the chunks stored before
+ * @param {Array} chunks - New chunks with their text hash
+ * @param {string[]} storedDocIds - Stored documents to compare with (this id and previous versions)
+ * @returns {Object} { unchangedChunks, newChunks, removedChunks } counts
+ */
+function diffChunks(chunks, storedDocIds) {
+    const storedHashes = new Set();
+    storedDocIds.forEach(docId => {
+        (loadEmbeddingsFromFile(docId)?.chunks || []).forEach(chunk => storedHashes.add(chunk.hash || hashText(chunk.text)));
+    });
+
+    const newHashes = new Set(chunks.map(chunk => chunk.hash));
+    const unchangedChunks = chunks.filter(chunk => storedHashes.has(chunk.hash)).length;
+    return {
+        unchangedChunks,
+        newChunks: chunks.length - unchangedChunks,
+        removedChunks: [...storedHashes].filter(hash => !newHashes.has(hash)).length
+    };
+}
+
+/**
+ * Processes a document by extracting text with the extractor registered for its type,
+ * creating text chunks (with their page and text offsets) using the chosen chunking strategy,
+ * generating embeddings, adding them to the ANN (HNSW) index, building the BM25 keyword
+ * index of the chunks, and parsing the embeddings for further use.
  *
- * @param {string} filePath - The file path of the PDF to be processed.
- * @returns {Promise<Object>} A promise that resolves to the parsed embeddings of the PDF.
+ * Documents are identified by file name and content hash. When an earlier version with the
+ * same file name is stored, only new or changed chunks are embedded, the earlier version is
+ * removed, and `changes` reports the difference. Cached answers built from other versions are
+ * marked stale.
+ *
+ * @param {string} filePath - The file path of the document to be processed (PDF, DOCX, TXT, Markdown or HTML).
+ * @param {Object} [chunking] - Chunking choice for this document
+ * @param {string} [chunking.strategy] - 'sentence', 'sliding-window', 'token' or 'paragraph' (default: CHUNKING_CONFIG.DEFAULT_STRATEGY)
+ * @param {Object} [chunking.options] - Strategy parameters, e.g. { chunkSize, overlap } or { maxTokens, overlapTokens }
+ * @param {Object} [options] - Ingest options
+ * @param {string} [options.storedPath] - Path the file is moved to once indexed (default: filePath);
+ *   it must keep the file name, which identifies the document
+ * @returns {Promise<Object>} A promise that resolves to the parsed embeddings of the document, with
+ *   `changes`: { previousDocIds, unchangedChunks, newChunks, removedChunks, staleAnswers }.
  */
-export async function processPdf(filePath) {
-    const pdfId = generatePdfId(filePath);
-    const texts = await pdfToText(filePath);
-    const chunks = createTextChunks(texts);
-    const embeddings = await generateChunkEmbeddings(chunks, filePath, pdfId);
-    const parsedEmbeddings = parseEmbeddings(embeddings, pdfId);
-    return parsedEmbeddings;
+export async function processDocument(filePath, chunking = {}, { storedPath = filePath } = {}) {
+    // Resolve first so invalid options fail before any extraction work
+    const chunkingSettings = resolveChunkingSettings(chunking.strategy, chunking.options);
+    const docId = generatePdfId(filePath);
+    const docName = path.basename(filePath);
+    const { text, pages } = await extractDocument(filePath);
+    const chunks = chunkText(text, chunkingSettings).map(span => ({
+        text: span.text,
+        hash: hashText(span.text),
+        page: findPageForOffset(pages, span.startOffset),
+        startOffset: span.startOffset,
+        endOffset: span.endOffset
+    }));
+    console.log(`✂️ Created ${chunks.length} chunks with ${chunkingSettings.strategy} strategy`, chunkingSettings.options);
+
+    const previousDocIds = findPreviousVersions(docName, docId);
+    const comparedDocIds = listStoredEmbeddings().includes(docId) ? [docId, ...previousDocIds] : previousDocIds;
+    const changes = { previousDocIds, ...diffChunks(chunks, comparedDocIds) };
+    console.log(`📝 ${docName}: ${changes.newChunks} new or changed, ${changes.unchangedChunks} unchanged, ${changes.removedChunks} removed chunk(s)`);
+
+    const embeddings = await generateChunkEmbeddings(
+        chunks,
+        filePath,
+        docId,
+        { chunking: chunkingSettings, contentHash: hashFileContent(filePath), originalPath: storedPath },
+        previousDocIds
+    );
+    addDocumentToAnnIndex(docId, loadCorpusChunkEmbeddings([docId]));
+    indexDocumentKeywords(docId, chunks);
+    // Cached answers built from other versions of the document must be recomputed
+    changes.staleAnswers = DocumentService.markAnswersStale(docId, 'document re-ingested');
+
+    // The new version replaces the earlier ones
+    previousDocIds.forEach(previousDocId => {
+        console.log(`🗑️ Removing previous version ${previousDocId}`);
+        DocumentService.removeDocumentIndexes(previousDocId);
+        changes.staleAnswers += DocumentService.markAnswersStale(previousDocId, `document replaced by ${docId}`);
+    });
+
+    const parsedEmbeddings = parseEmbeddings(embeddings, docId);
+    return { ...parsedEmbeddings, chunking: chunkingSettings, changes };
 }
 
-// Covert PDF to text and create chunks
- async function pdfToText(filePath) {
-    const parser = new PDFParse({ url: filePath });
-    const result = await parser.getText();
-    return result.text;
-}
\ No newline at end of file
+// Legacy support (deprecated - use processDocument instead)
+export const processPdf = processDocument;
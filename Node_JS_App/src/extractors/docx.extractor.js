@@ -0,0 +1,22 @@
+import mammoth from 'mammoth';
+
+/**
+ * DOCX extractor - reads the raw text of Word documents through mammoth
+ */
+export const docxExtractor = {
+    name: 'docx',
+    extensions: ['.docx'],
+
+    /**
+     * Extract plain text from a DOCX file
+     * @param {string} filePath - Path to the DOCX file
+     * @returns {Promise<string>} Extracted text
+     */
+    async extract(filePath) {
+        const result = await mammoth.extractRawText({ path: filePath });
+        result.messages
+            .filter(message => message.type === 'warning')
+            .forEach(message => console.warn(`DOCX extraction warning: ${message.message}`));
+        return result.value;
+    }
+};
@@ -0,0 +1,73 @@
+import path from 'path';
+import { pdfExtractor } from './pdf.extractor.js';
+import { docxExtractor } from './docx.extractor.js';
+import { textExtractor } from './text.extractor.js';
+import { markdownExtractor } from './markdown.extractor.js';
+import { htmlExtractor } from './html.extractor.js';
+
+// Extractors by file extension (e.g. '.pdf' -> pdfExtractor)
+const extractors = new Map();
+
+/**
+ * Register a text extractor for the file extensions it declares
+ * @param {Object} extractor - Extractor with `name`, `extensions` and `extract(filePath)`,
+ *   which resolves to a string or to { text, pages }
+ */
+export function registerExtractor(extractor) {
+    if (!extractor || typeof extractor.extract !== 'function' || !Array.isArray(extractor.extensions)) {
+        throw new Error('Extractor must declare extensions and an extract(filePath) function');
+    }
+    extractor.extensions.forEach(extension => extractors.set(extension.toLowerCase(), extractor));
+}
+
+/**
+ * Find the extractor for a file based on its extension
+ * @param {string} filePath - Path to the document
+ * @returns {Object|null} Matching extractor or null if the type is not supported
+ */
+export function getExtractor(filePath) {
+    return extractors.get(path.extname(filePath).toLowerCase()) || null;
+}
+
+/**
+ * List the file extensions that have a registered extractor
+ * @returns {string[]} Supported extensions
+ */
+export function getSupportedExtensions() {
+    return [...extractors.keys()];
+}
+
+/**
+ * Extract the text of a document with the extractor registered for its type.
+ * Extractors return either a string or { text, pages }; paginated formats (PDF) list
+ * their pages as { page, startOffset, endOffset } ranges of `text`.
+ * @param {string} filePath - Path to the document
+ * @returns {Promise<Object>} { text, pages } - pages is empty for formats without pages
+ */
+export async function extractDocument(filePath) {
+    const extractor = getExtractor(filePath);
+    if (!extractor) {
+        throw new Error(`No text extractor registered for "${path.extname(filePath) || filePath}"`);
+    }
+
+    console.log(`📄 Extracting text with ${extractor.name} extractor: ${path.basename(filePath)}`);
+    const result = await extractor.extract(filePath);
+
+    if (typeof result === 'string') {
+        return { text: result, pages: [] };
+    }
+    return { text: result.text || '', pages: result.pages || [] };
+}
+
+/**
+ * Extract plain text from a document with the extractor registered for its type
+ * @param {string} filePath - Path to the document
+ * @returns {Promise<string>} Extracted text
+ */
+export async function extractText(filePath) {
+    const { text } = await extractDocument(filePath);
+    return text;
+}
+
+// Built-in extractors
+[pdfExtractor, docxExtractor, textExtractor, markdownExtractor, htmlExtractor].forEach(registerExtractor);
@@ -0,0 +1,45 @@
+import { convert } from 'html-to-text';
+import { readTextFile } from './text.extractor.js';
+
+// Keep headings and links readable, drop markup that carries no document text
+const HTML_TO_TEXT_OPTIONS = {
+    wordwrap: false,
+    selectors: [
+        { selector: 'a', options: { ignoreHref: true } },
+        { selector: 'img', format: 'skip' },
+        { selector: 'h1', options: { uppercase: false } },
+        { selector: 'h2', options: { uppercase: false } },
+        { selector: 'h3', options: { uppercase: false } },
+        { selector: 'h4', options: { uppercase: false } },
+        { selector: 'h5', options: { uppercase: false } },
+        { selector: 'h6', options: { uppercase: false } },
+        { selector: 'table', options: { uppercaseHeaderCells: false } }
+    ]
+};
+
+/**
+ * Convert an HTML string to plain text
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+    return convert(html, HTML_TO_TEXT_OPTIONS);
+}
+
+/**
+ * HTML extractor
+ */
+export const htmlExtractor = {
+    name: 'html',
+    extensions: ['.html', '.htm'],
+
+    /**
+     * Extract visible text from an HTML file
+     * @param {string} filePath - Path to the HTML file
+     * @returns {Promise<string>} Extracted text
+     */
+    async extract(filePath) {
+        const html = await readTextFile(filePath);
+        return htmlToText(html);
+    }
+};
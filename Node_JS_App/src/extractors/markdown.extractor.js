@@ -0,0 +1,22 @@
+import { marked } from 'marked';
+import { readTextFile } from './text.extractor.js';
+import { htmlToText } from './html.extractor.js';
+
+/**
+ * Markdown extractor - renders Markdown to HTML, then keeps its text
+ */
+export const markdownExtractor = {
+    name: 'markdown',
+    extensions: ['.md', '.markdown'],
+
+    /**
+     * Extract text from a Markdown file
+     * @param {string} filePath - Path to the Markdown file
+     * @returns {Promise<string>} Extracted text
+     */
+    async extract(filePath) {
+        const markdown = await readTextFile(filePath);
+        const html = await marked.parse(markdown);
+        return htmlToText(html);
+    }
+};
@@ -0,0 +1,39 @@
+import { PDFParse } from 'pdf-parse';
+
+// Separator placed between page texts in the extracted document text
+const PAGE_SEPARATOR = '\n\n';
+
+/**
+ * PDF extractor - reads text page by page through PDFParse
+ */
+export const pdfExtractor = {
+    name: 'pdf',
+    extensions: ['.pdf'],
+
+    /**
+     * Extract text from a PDF file, keeping page boundaries
+     * @param {string} filePath - Path to the PDF file
+     * @returns {Promise<Object>} { text, pages } where pages are { page, startOffset, endOffset } ranges of text
+     */
+    async extract(filePath) {
+        const parser = new PDFParse({ url: filePath });
+        try {
+            const result = await parser.getText();
+
+            let text = '';
+            const pages = [];
+            result.pages.forEach(({ num, text: pageText }) => {
+                if (text) {
+                    text += PAGE_SEPARATOR;
+                }
+                const startOffset = text.length;
+                text += pageText;
+                pages.push({ page: num, startOffset, endOffset: text.length });
+            });
+
+            return { text, pages };
+        } finally {
+            await parser.destroy();
+        }
+    }
+};
@@ -0,0 +1,28 @@
+import fs from 'fs';
+
+/**
+ * Read a UTF-8 file and drop the byte order mark if present
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} File content
+ */
+export async function readTextFile(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return content.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Plain text extractor
+ */
+export const textExtractor = {
+    name: 'text',
+    extensions: ['.txt'],
+
+    /**
+     * Extract text from a plain text file
+     * @param {string} filePath - Path to the text file
+     * @returns {Promise<string>} File content
+     */
+    async extract(filePath) {
+        return readTextFile(filePath);
+    }
+};
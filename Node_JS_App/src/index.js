@@ -1,6 +1,9 @@
 import { SERVER_CONFIG, ERROR_MESSAGES, validateEnvironmentConfig } from './config/app.config.js';
 import { queryDB } from './store/sqlite.db.js';
 import mainRoutes from './routes/main.routes.js';
+import documentRoutes from './routes/document.routes.js';
+import sessionRoutes from './routes/session.routes.js';
+import cacheRoutes from './routes/cache.routes.js';
 import dotenv from "dotenv";
 import express from "express";
 dotenv.config();
@@ -44,17 +47,27 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/', mainRoutes);
+app.use('/documents', documentRoutes);
+app.use('/sessions', sessionRoutes);
+app.use('/cache', cacheRoutes);
 
 // Start server
 app.listen(port, () => {
     console.log(`🚀 Server listening on http://localhost:${port}`);
     console.log('📋 Available endpoints:');
     console.log('  GET  /           - Health check');
-    console.log('  GET  /query      - Process user queries');
+    console.log('  GET  /query      - Process user queries (POST /query with JSON options)');
+    console.log('  GET  /query/stream - Stream answers (Server-Sent Events)');
+    console.log('  POST /query/explain - Ranking, prompt, cache decisions and timings of a query');
     console.log('  GET  /process-pdf - Process PDF documents');
+    console.log('  POST /documents  - Upload and index a document');
+    console.log('  GET  /documents  - List documents (GET/DELETE /documents/:id, GET /documents/:id/chunks)');
+    console.log('  POST /sessions   - Start a conversation (POST /sessions/:id/messages, GET /sessions/:id)');
     console.log('  GET  /queries    - Get all stored queries');
     console.log('  GET  /stats      - Get query statistics');
+    console.log('  GET  /queries/unanswered - Questions answered "not found"');
     console.log('  POST /queries/:id/feedback - Update query feedback');
+    console.log('  GET  /cache/stats - Prompt embedding cache statistics (GET/DELETE /cache/prompts)');
     console.log('---------------------------------------------------------------');
 });
 
@@ -0,0 +1,89 @@
+import multer from "multer";
+import fs from "fs";
+import path from "path";
+import { PDF_CONFIG, UPLOAD_CONFIG, ERROR_MESSAGES } from '../config/app.config.js';
+import { STORAGE_PATHS, ALLOWED_DOC_EXTENSIONS } from '../config/path.js';
+import { parseFileSize } from '../utils/util.js';
+
+/**
+ * Make an uploaded file name safe to store on disk
+ * @param {string} originalName - File name sent by the client
+ * @returns {string} Sanitized file name
+ */
+function sanitizeFileName(originalName) {
+    const { name, ext } = path.parse(path.basename(originalName));
+    const safeName = name.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'document';
+    return `${safeName}${ext.toLowerCase()}`;
+}
+
+// Each upload is staged in its own directory under storage/uploads, keeping its file name
+// (the document id and name come from it), and only moved to storage/documents once indexed
+const storage = multer.diskStorage({
+    destination: (request, file, callback) => {
+        fs.mkdirSync(STORAGE_PATHS.UPLOADS, { recursive: true });
+        request.uploadDirectory = fs.mkdtempSync(path.join(STORAGE_PATHS.UPLOADS, 'upload-'));
+        callback(null, request.uploadDirectory);
+    },
+    filename: (request, file, callback) => {
+        callback(null, sanitizeFileName(file.originalname));
+    }
+});
+
+/**
+ * Reject files whose extension is not an allowed document type
+ */
+function documentFileFilter(request, file, callback) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!ALLOWED_DOC_EXTENSIONS.DOCUMENTS.includes(extension)) {
+        const error = new Error(`${ERROR_MESSAGES.UNSUPPORTED_FILE_TYPE}: ${extension || 'none'}. Allowed: ${ALLOWED_DOC_EXTENSIONS.DOCUMENTS.join(', ')}`);
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        callback(error);
+        return;
+    }
+    callback(null, true);
+}
+
+const upload = multer({
+    storage,
+    fileFilter: documentFileFilter,
+    limits: { fileSize: parseFileSize(PDF_CONFIG.MAX_FILE_SIZE), files: 1 }
+});
+
+/**
+ * Single document upload middleware, reads the file from the UPLOAD_CONFIG.FIELD_NAME field
+ */
+export const uploadDocument = upload.single(UPLOAD_CONFIG.FIELD_NAME);
+
+/**
+ * Path an uploaded file is stored at once it is indexed
+ * @param {Object} file - Multer file
+ * @returns {string} Path under storage/documents
+ */
+export function getDocumentPath(file) {
+    return path.join(STORAGE_PATHS.DOCUMENTS, file.filename);
+}
+
+/**
+ * Move an indexed upload from its staging directory to storage/documents.
+ * A stored file with the same name is replaced, as its document was replaced by this version.
+ * @param {Object} request - Express request with the uploaded file
+ * @returns {string} Stored file path
+ */
+export function storeUpload(request) {
+    const documentPath = getDocumentPath(request.file);
+    fs.mkdirSync(STORAGE_PATHS.DOCUMENTS, { recursive: true });
+    fs.renameSync(request.file.path, documentPath);
+    discardUpload(request);
+    return documentPath;
+}
+
+/**
+ * Remove the staging directory of an upload, if one was created; files in storage/documents
+ * are never touched
+ * @param {Object} request - Express request
+ */
+export function discardUpload(request) {
+    if (request.uploadDirectory) {
+        fs.rmSync(request.uploadDirectory, { recursive: true, force: true });
+    }
+}
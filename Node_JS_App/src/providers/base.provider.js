@@ -0,0 +1,143 @@
+import { PROVIDER_CONFIG } from '../config/app.config.js';
+
+/**
+ * Base class for chat and embedding providers.
+ *
+ * Every provider returns the same shapes so callers never depend on a vendor SDK:
+ * - generateText(prompt, options) resolves to the answer text
+ * - embed(text) resolves to [{ values: number[] }], like Gemini's `embeddings` field
+ * - embedBatch(texts) resolves to one such embedding per text, in order
+ */
+export class LLMProvider {
+    /**
+     * @param {string} name - Provider name used in configuration (e.g. 'gemini')
+     * @param {Object} models - Default model names
+     * @param {string} models.chatModel - Model used for answers
+     * @param {string} models.embeddingModel - Model used for embeddings
+     */
+    constructor(name, { chatModel, embeddingModel }) {
+        this.name = name;
+        this.chatModel = chatModel;
+        this.embeddingModel = embeddingModel;
+    }
+
+    /**
+     * Generate an answer for a prompt
+     * @param {string} prompt - Input prompt
+     * @param {Object} options - Optional generation settings
+     * @param {string} [options.model] - Model to use instead of the default chat model
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxOutputTokens] - Maximum tokens in the answer
+     * @returns {Promise<string>} Generated text
+     */
+    async generateText(prompt, options = {}) {
+        throw new Error(`${this.name} provider does not support text generation`);
+    }
+
+    /**
+     * Stream an answer for a prompt as text fragments
+     * Providers without native streaming yield the whole answer once
+     * @param {string} prompt - Input prompt
+     * @param {Object} options - Same options as generateText
+     * @returns {AsyncGenerator<string>} Text fragments in order
+     */
+    async *generateTextStream(prompt, options = {}) {
+        yield await this.generateText(prompt, options);
+    }
+
+    /**
+     * Generate an embedding for a text
+     * @param {string} text - Text to embed
+     * @returns {Promise<Array>} Embedding as [{ values: number[] }]
+     */
+    async embed(text) {
+        throw new Error(`${this.name} provider does not support embeddings`);
+    }
+
+    /**
+     * Generate embeddings for several texts
+     * Providers without a batch endpoint embed the texts one by one
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<Array>} One [{ values: number[] }] per text, in order
+     */
+    async embedBatch(texts) {
+        const embeddings = [];
+        for (const text of texts) {
+            embeddings.push(await this.embed(text));
+        }
+        return embeddings;
+    }
+
+    /**
+     * POST a JSON body, failing with the HTTP status on non-2xx responses
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Extra request headers
+     * @param {Object} [options] - Request options
+     * @param {boolean} [options.stream] - The body is streamed: the timeout only covers the wait for the
+     *   response headers, so long answers are not cut off (default: the timeout covers the whole body)
+     * @returns {Promise<Response>} Fetch response
+     */
+    async post(url, body, headers = {}, { stream = false } = {}) {
+        const controller = new AbortController();
+        const timer = stream
+            ? setTimeout(() => controller.abort(new DOMException('The operation was aborted due to timeout', 'TimeoutError')), PROVIDER_CONFIG.REQUEST_TIMEOUT_MS)
+            : null;
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: stream ? controller.signal : AbortSignal.timeout(PROVIDER_CONFIG.REQUEST_TIMEOUT_MS)
+            });
+
+            if (!response.ok) {
+                const details = await response.text().catch(() => '');
+                const error = new Error(`${this.name} request failed with status ${response.status}: ${details.substring(0, 500)}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            return response;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * POST a JSON body and parse the JSON response
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Extra request headers
+     * @returns {Promise<Object>} Parsed response body
+     */
+    async postJson(url, body, headers = {}) {
+        const response = await this.post(url, body, headers);
+        return response.json();
+    }
+
+    /**
+     * POST a JSON body and yield the response body line by line as it arrives
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Extra request headers
+     * @returns {AsyncGenerator<string>} Non-empty response lines
+     */
+    async *postJsonStream(url, body, headers = {}) {
+        const response = await this.post(url, body, headers, { stream: true });
+        const decoder = new TextDecoder();
+        let buffered = '';
+        for await (const bytes of response.body) {
+            buffered += decoder.decode(bytes, { stream: true });
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            for (const line of lines) {
+                if (line.trim()) yield line.trim();
+            }
+        }
+        if (buffered.trim()) {
+            yield buffered.trim();
+        }
+    }
+}
@@ -0,0 +1,76 @@
+import { GoogleGenAI } from "@google/genai";
+import { LLMProvider } from './base.provider.js';
+import { GEMINI_CONFIG } from '../config/app.config.js';
+
+/**
+ * Google Gemini provider (through @google/genai)
+ */
+export class GeminiProvider extends LLMProvider {
+    constructor() {
+        super('gemini', {
+            chatModel: GEMINI_CONFIG.GEMINI_MODEL_FLASH_PREVIEW,
+            embeddingModel: GEMINI_CONFIG.GEMINI_MODEL_EMBEDDING
+        });
+
+        this.client = null;
+        if (GEMINI_CONFIG.GEMINI_API_KEY) {
+            this.client = new GoogleGenAI({ apiKey: GEMINI_CONFIG.GEMINI_API_KEY });
+        } else {
+            console.warn("GEMINI_API_KEY not found in environment variables");
+        }
+    }
+
+    /**
+     * Get the GoogleGenAI client or fail when no API key is configured
+     * @returns {GoogleGenAI} Client instance
+     */
+    getClient() {
+        if (!this.client) {
+            throw new Error("GoogleGenAI not initialized. Check GEMINI_API_KEY.");
+        }
+        return this.client;
+    }
+
+    async generateText(prompt, options = {}) {
+        const response = await this.getClient().models.generateContent({
+            model: options.model || this.chatModel,
+            contents: prompt,
+            config: {
+                temperature: options.temperature,
+                maxOutputTokens: options.maxOutputTokens
+            }
+        });
+        return response.text;
+    }
+
+    async *generateTextStream(prompt, options = {}) {
+        const stream = await this.getClient().models.generateContentStream({
+            model: options.model || this.chatModel,
+            contents: prompt,
+            config: {
+                temperature: options.temperature,
+                maxOutputTokens: options.maxOutputTokens
+            }
+        });
+
+        for await (const chunk of stream) {
+            if (chunk.text) yield chunk.text;
+        }
+    }
+
+    async embed(text) {
+        const result = await this.getClient().models.embedContent({
+            model: this.embeddingModel,
+            contents: text
+        });
+        return result.embeddings;
+    }
+
+    async embedBatch(texts) {
+        const result = await this.getClient().models.embedContent({
+            model: this.embeddingModel,
+            contents: texts
+        });
+        return result.embeddings.map(embedding => [embedding]);
+    }
+}
@@ -0,0 +1,159 @@
+import { LLMProvider } from './base.provider.js';
+import { LLM_CONFIG, API_MESSAGES, LOCAL_PROVIDER_CONFIG } from '../config/app.config.js';
+import { tokenizeForSearch } from '../utils/tokenizer.js';
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Split text into sentences, keeping their punctuation
+ * @param {string} text - Text to split
+ * @returns {string[]} Array of sentences
+ */
+function splitSentences(text) {
+    return (text.match(/[^.!?\n]+[.!?]*/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Split the LLM context into its numbered "[n] (Source: ...)" passages
+ * @param {string} context - Context built by formatChunksForLLM
+ * @returns {Array} Array of { marker, text }, marker is null for unnumbered text
+ */
+function splitPassages(context) {
+    const passages = [];
+    let current = { marker: null, text: '' };
+
+    context.split('\n').forEach(line => {
+        const header = /^\s*\[(\d+)\]/.exec(line);
+        if (header) {
+            passages.push(current);
+            current = { marker: Number(header[1]), text: '' };
+        } else {
+            current.text += `${line}\n`;
+        }
+    });
+    passages.push(current);
+
+    return passages.filter(passage => passage.text.trim());
+}
+
+/**
+ * Read the document context and question back out of a prompt built by formatLLMMessage
+ * @param {string} prompt - Full prompt sent to the LLM
+ * @returns {Object} { context, question }
+ */
+function parseRagPrompt(prompt) {
+    const contextStart = prompt.indexOf(LLM_CONFIG.CONTEXT_START_MARKER);
+    const contextEnd = prompt.indexOf(LLM_CONFIG.CONTEXT_END_MARKER);
+    const questionStart = prompt.lastIndexOf(LLM_CONFIG.QUESTION_LABEL);
+
+    if (contextStart === -1 || contextEnd === -1 || questionStart === -1) {
+        return { context: prompt, question: prompt };
+    }
+
+    return {
+        context: prompt.substring(contextStart + LLM_CONFIG.CONTEXT_START_MARKER.length, contextEnd),
+        question: prompt.substring(questionStart + LLM_CONFIG.QUESTION_LABEL.length)
+    };
+}
+
+/**
+ * Offline provider for development and tests - no network, fully deterministic.
+ *
+ * - Embeddings use feature hashing of word unigrams and bigrams into a fixed size,
+ *   L2-normalised vector, so texts sharing words get a high cosine similarity.
+ * - Answers are extractive: the context sentences that share the most words with
+ *   the question, in document order, each cited with its passage [n] marker.
+ */
+export class LocalProvider extends LLMProvider {
+    constructor() {
+        super('local', {
+            chatModel: 'local-extractive',
+            embeddingModel: `local-hash-${LOCAL_PROVIDER_CONFIG.EMBEDDING_DIMENSIONS}`
+        });
+        this.dimensions = LOCAL_PROVIDER_CONFIG.EMBEDDING_DIMENSIONS;
+    }
+
+    /**
+     * Build the hashed feature vector of a text
+     * @param {string} text - Text to embed
+     * @returns {number[]} L2-normalised vector
+     */
+    hashEmbedding(text) {
+        const values = new Array(this.dimensions).fill(0);
+        const tokens = tokenizeForSearch(text);
+        const features = [...tokens];
+        for (let i = 0; i < tokens.length - 1; i++) {
+            features.push(`${tokens[i]} ${tokens[i + 1]}`);
+        }
+
+        const counts = new Map();
+        features.forEach(feature => counts.set(feature, (counts.get(feature) || 0) + 1));
+
+        counts.forEach((count, feature) => {
+            const hash = fnv1a(feature);
+            const sign = (hash & 0x80000000) ? -1 : 1;
+            values[hash % this.dimensions] += sign * (1 + Math.log(count));
+        });
+
+        const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+        // An all-zero vector breaks cosine similarity, so fall back to a fixed unit vector
+        if (norm === 0) {
+            values[0] = 1;
+            return values;
+        }
+        return values.map(value => value / norm);
+    }
+
+    async embed(text) {
+        return [{ values: this.hashEmbedding(text) }];
+    }
+
+    async embedBatch(texts) {
+        return texts.map(text => [{ values: this.hashEmbedding(text) }]);
+    }
+
+    async generateText(prompt, options = {}) {
+        const { context, question } = parseRagPrompt(prompt);
+        const questionTokens = new Set(tokenizeForSearch(question));
+
+        const sentences = splitPassages(context).flatMap(passage =>
+            splitSentences(passage.text).map(sentence => ({ sentence, marker: passage.marker }))
+        );
+
+        const scoredSentences = sentences
+            .map(({ sentence, marker }, position) => {
+                const sentenceTokens = new Set(tokenizeForSearch(sentence));
+                let overlap = 0;
+                sentenceTokens.forEach(token => {
+                    if (questionTokens.has(token)) overlap++;
+                });
+                return { sentence, marker, position, overlap };
+            })
+            .filter(item => item.overlap > 0);
+
+        if (scoredSentences.length === 0) {
+            return API_MESSAGES.DOCUMENT_NOT_FOUND;
+        }
+
+        return scoredSentences
+            .sort((a, b) => b.overlap - a.overlap || a.position - b.position)
+            .slice(0, LOCAL_PROVIDER_CONFIG.ANSWER_MAX_SENTENCES)
+            .sort((a, b) => a.position - b.position)
+            .map(item => (item.marker ? `${item.sentence} [${item.marker}]` : item.sentence))
+            .join(' ');
+    }
+}
@@ -0,0 +1,66 @@
+import { LLMProvider } from './base.provider.js';
+import { ENV_CONFIG } from '../config/app.config.js';
+
+/**
+ * Ollama provider - uses the native /api/chat and /api/embed endpoints
+ */
+export class OllamaProvider extends LLMProvider {
+    constructor() {
+        super('ollama', {
+            chatModel: ENV_CONFIG.OLLAMA_CHAT_MODEL,
+            embeddingModel: ENV_CONFIG.OLLAMA_EMBEDDING_MODEL
+        });
+        this.baseUrl = ENV_CONFIG.OLLAMA_BASE_URL.replace(/\/+$/, '');
+    }
+
+    async generateText(prompt, options = {}) {
+        const result = await this.postJson(`${this.baseUrl}/api/chat`, {
+            model: options.model || this.chatModel,
+            messages: [{ role: 'user', content: prompt }],
+            stream: false,
+            options: {
+                temperature: options.temperature,
+                num_predict: options.maxOutputTokens
+            }
+        });
+
+        return result.message?.content || '';
+    }
+
+    async *generateTextStream(prompt, options = {}) {
+        const lines = this.postJsonStream(`${this.baseUrl}/api/chat`, {
+            model: options.model || this.chatModel,
+            messages: [{ role: 'user', content: prompt }],
+            stream: true,
+            options: {
+                temperature: options.temperature,
+                num_predict: options.maxOutputTokens
+            }
+        });
+
+        // Newline-delimited JSON, one message fragment per line
+        for await (const line of lines) {
+            const result = JSON.parse(line);
+            if (result.message?.content) yield result.message.content;
+            if (result.done) break;
+        }
+    }
+
+    async embed(text) {
+        const result = await this.postJson(`${this.baseUrl}/api/embed`, {
+            model: this.embeddingModel,
+            input: text
+        });
+
+        return result.embeddings.map(values => ({ values }));
+    }
+
+    async embedBatch(texts) {
+        const result = await this.postJson(`${this.baseUrl}/api/embed`, {
+            model: this.embeddingModel,
+            input: texts
+        });
+
+        return result.embeddings.map(values => [{ values }]);
+    }
+}
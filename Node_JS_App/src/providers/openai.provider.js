@@ -0,0 +1,76 @@
+import { LLMProvider } from './base.provider.js';
+import { ENV_CONFIG } from '../config/app.config.js';
+
+/**
+ * OpenAI-compatible HTTP provider (OpenAI, vLLM, LM Studio, LocalAI, llama.cpp server, ...)
+ * Uses POST {baseUrl}/chat/completions and POST {baseUrl}/embeddings
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+    constructor() {
+        super('openai', {
+            chatModel: ENV_CONFIG.OPENAI_CHAT_MODEL,
+            embeddingModel: ENV_CONFIG.OPENAI_EMBEDDING_MODEL
+        });
+        this.baseUrl = ENV_CONFIG.OPENAI_BASE_URL.replace(/\/+$/, '');
+        this.apiKey = ENV_CONFIG.OPENAI_API_KEY;
+    }
+
+    /**
+     * Authorization header, omitted for self-hosted servers without a key
+     * @returns {Object} Request headers
+     */
+    getHeaders() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    }
+
+    async generateText(prompt, options = {}) {
+        const result = await this.postJson(`${this.baseUrl}/chat/completions`, {
+            model: options.model || this.chatModel,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: options.temperature,
+            max_tokens: options.maxOutputTokens
+        }, this.getHeaders());
+
+        return result.choices?.[0]?.message?.content || '';
+    }
+
+    async *generateTextStream(prompt, options = {}) {
+        const lines = this.postJsonStream(`${this.baseUrl}/chat/completions`, {
+            model: options.model || this.chatModel,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: options.temperature,
+            max_tokens: options.maxOutputTokens,
+            stream: true
+        }, this.getHeaders());
+
+        // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]"
+        for await (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const data = line.substring('data:'.length).trim();
+            if (data === '[DONE]') break;
+
+            const text = JSON.parse(data).choices?.[0]?.delta?.content;
+            if (text) yield text;
+        }
+    }
+
+    async embed(text) {
+        const result = await this.postJson(`${this.baseUrl}/embeddings`, {
+            model: this.embeddingModel,
+            input: text
+        }, this.getHeaders());
+
+        return result.data.map(item => ({ values: item.embedding }));
+    }
+
+    async embedBatch(texts) {
+        const result = await this.postJson(`${this.baseUrl}/embeddings`, {
+            model: this.embeddingModel,
+            input: texts
+        }, this.getHeaders());
+
+        return [...result.data]
+            .sort((a, b) => a.index - b.index)
+            .map(item => [{ values: item.embedding }]);
+    }
+}
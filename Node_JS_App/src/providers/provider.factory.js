@@ -0,0 +1,49 @@
+import { GeminiProvider } from './gemini.provider.js';
+import { OpenAICompatibleProvider } from './openai.provider.js';
+import { OllamaProvider } from './ollama.provider.js';
+import { LocalProvider } from './local.provider.js';
+import { ENV_CONFIG } from '../config/app.config.js';
+
+// Provider classes by configuration name
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider,
+    ollama: OllamaProvider,
+    local: LocalProvider
+};
+
+// One instance per provider name, shared by chat and embeddings
+const instances = new Map();
+
+/**
+ * Get (or create) a provider instance by name
+ * @param {string} name - Provider name ('gemini', 'openai', 'ollama', 'local')
+ * @returns {LLMProvider} Provider instance
+ */
+export function getProvider(name) {
+    const ProviderClass = PROVIDERS[name];
+    if (!ProviderClass) {
+        throw new Error(`Unknown provider "${name}". Supported: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    if (!instances.has(name)) {
+        instances.set(name, new ProviderClass());
+    }
+    return instances.get(name);
+}
+
+/**
+ * Provider used to generate answers (LLM_PROVIDER)
+ * @returns {LLMProvider} Provider instance
+ */
+export function getLLMProvider() {
+    return getProvider(ENV_CONFIG.LLM_PROVIDER);
+}
+
+/**
+ * Provider used to embed chunks and prompts (EMBEDDING_PROVIDER)
+ * @returns {LLMProvider} Provider instance
+ */
+export function getEmbeddingProvider() {
+    return getProvider(ENV_CONFIG.EMBEDDING_PROVIDER);
+}
@@ -0,0 +1,61 @@
+import { tokenizeForSearch } from '../utils/tokenizer.js';
+import { RERANK_CONFIG } from '../config/app.config.js';
+
+/**
+ * Adjacent meaningful term pairs of a token list, e.g. ['pump', 'mounting'] -> ['pump mounting']
+ * @param {string[]} terms - Tokens without stop words
+ * @returns {Set<string>} Distinct bigrams
+ */
+function toBigrams(terms) {
+    const bigrams = new Set();
+    for (let i = 1; i < terms.length; i++) {
+        bigrams.add(`${terms[i - 1]} ${terms[i]}`);
+    }
+    return bigrams;
+}
+
+/**
+ * Lexical reranker - works offline: scores each candidate by the share of question terms it
+ * contains, weighting rare terms (found in few candidates) higher, plus a bonus for question
+ * phrases (adjacent term pairs) found verbatim
+ */
+export const lexicalReranker = {
+    name: 'lexical',
+
+    /**
+     * Score candidates against the question
+     * @param {string} query - User question
+     * @param {Array} chunks - Candidate chunks ({ text })
+     * @returns {Promise<number[]>} One score between 0 and 1 per chunk, in order
+     */
+    async score(query, chunks) {
+        const queryTerms = tokenizeForSearch(query);
+        const distinctTerms = [...new Set(queryTerms)];
+        const queryBigrams = toBigrams(queryTerms);
+        if (distinctTerms.length === 0) {
+            return chunks.map(() => 0);
+        }
+
+        const chunkTerms = chunks.map(chunk => tokenizeForSearch(chunk.text));
+        const chunkTermSets = chunkTerms.map(terms => new Set(terms));
+        const chunkBigramSets = chunkTerms.map(toBigrams);
+
+        // Terms found in every candidate tell them apart less than rare ones
+        const termWeights = new Map(distinctTerms.map(term => {
+            const documentFrequency = chunkTermSets.filter(terms => terms.has(term)).length;
+            return [term, Math.log(1 + chunks.length / (1 + documentFrequency))];
+        }));
+        const totalWeight = [...termWeights.values()].reduce((sum, weight) => sum + weight, 0);
+
+        return chunks.map((chunk, index) => {
+            const termScore = distinctTerms
+                .filter(term => chunkTermSets[index].has(term))
+                .reduce((sum, term) => sum + termWeights.get(term), 0) / totalWeight;
+            if (queryBigrams.size === 0) {
+                return termScore;
+            }
+            const phraseScore = [...queryBigrams].filter(bigram => chunkBigramSets[index].has(bigram)).length / queryBigrams.size;
+            return (1 - RERANK_CONFIG.LEXICAL_PHRASE_WEIGHT) * termScore + RERANK_CONFIG.LEXICAL_PHRASE_WEIGHT * phraseScore;
+        });
+    }
+};
@@ -0,0 +1,60 @@
+import { generateAnswerFromLLM, getActiveModels } from '../services/genai.service.js';
+import { LLM_CONFIG, RERANK_CONFIG } from '../config/app.config.js';
+
+/**
+ * Read the scores out of the LLM reply, e.g. '{"1": 8, "2": 0}'
+ * @param {string} reply - LLM reply
+ * @param {number} count - Number of scored passages
+ * @returns {number[]} One score between 0 and 1 per passage, in order (0 when the passage was not scored)
+ * @throws {Error} When the reply holds no score
+ */
+function parseRelevanceScores(reply, count) {
+    const json = /\{[\s\S]*\}/.exec(reply || '');
+    if (!json) {
+        throw new Error('LLM reply has no JSON scores');
+    }
+
+    const scoresByPassage = JSON.parse(json[0]);
+    const scores = Array.from({ length: count }, (_, index) => {
+        const score = Number(scoresByPassage[index + 1]);
+        return Number.isFinite(score) ? Math.min(Math.max(score / RERANK_CONFIG.LLM_MAX_SCORE, 0), 1) : null;
+    });
+    if (scores.every(score => score === null)) {
+        throw new Error('LLM reply scored none of the passages');
+    }
+    return scores.map(score => score ?? 0);
+}
+
+/**
+ * LLM reranker - asks the configured chat model (LLM_PROVIDER) to grade every candidate
+ * against the question in a single call
+ */
+export const llmReranker = {
+    name: 'llm',
+
+    /**
+     * Score candidates against the question
+     * @param {string} query - User question
+     * @param {Array} chunks - Candidate chunks ({ text })
+     * @returns {Promise<number[]>} One score between 0 and 1 per chunk, in order
+     * @throws {Error} With the offline local provider, which can only extract sentences, or when the reply cannot be read
+     */
+    async score(query, chunks) {
+        if (getActiveModels().llmProvider === 'local') {
+            throw new Error('the local provider cannot grade passages');
+        }
+
+        const passages = chunks
+            .map((chunk, index) => `[${index + 1}] ${chunk.text.substring(0, RERANK_CONFIG.LLM_PASSAGE_MAX_LENGTH).replace(/\s+/g, ' ')}`)
+            .join('\n\n');
+        const rerankPrompt = `${LLM_CONFIG.RERANK_PROMPT}
+
+        ${LLM_CONFIG.QUESTION_LABEL} ${query}
+
+        Passages:
+        ${passages}`;
+
+        const reply = await generateAnswerFromLLM(rerankPrompt, { temperature: 0 });
+        return parseRelevanceScores(reply, chunks.length);
+    }
+};
@@ -0,0 +1,94 @@
+import { lexicalReranker } from './lexical.reranker.js';
+import { llmReranker } from './llm.reranker.js';
+import { EMBEDDING_CONFIG, RERANK_CONFIG, LOGGING_CONFIG } from '../config/app.config.js';
+
+// Rerankers by name (e.g. 'lexical' -> lexicalReranker); 'none' keeps the first-pass order
+const rerankers = new Map();
+
+/**
+ * Register a reranker
+ * @param {Object} reranker - Reranker with `name` and `score(query, chunks)`, where score resolves
+ *   to one relevance score per chunk, in order (higher is more relevant)
+ */
+export function registerReranker(reranker) {
+    if (!reranker || !reranker.name || typeof reranker.score !== 'function') {
+        throw new Error('Reranker must declare a name and score(query, chunks)');
+    }
+    rerankers.set(reranker.name, reranker);
+}
+
+/**
+ * List the reranker names, including 'none'
+ * @returns {string[]} Reranker names
+ */
+export function getRerankers() {
+    return ['none', ...rerankers.keys()];
+}
+
+/**
+ * Validate a reranker name
+ * @param {string} [name] - Reranker name (default: RERANK_CONFIG.RERANKER)
+ * @returns {string} Reranker name
+ * @throws {Error} With code 'INVALID_RERANKER' for an unknown name
+ */
+export function resolveReranker(name) {
+    const rerankerName = name || RERANK_CONFIG.RERANKER;
+    if (rerankerName !== 'none' && !rerankers.has(rerankerName)) {
+        const error = new Error(`Unknown reranker "${rerankerName}". Available: ${getRerankers().join(', ')}`);
+        error.code = 'INVALID_RERANKER';
+        throw error;
+    }
+    return rerankerName;
+}
+
+/**
+ * Narrow first-pass candidates to the final context with a reranker.
+ * Every chunk keeps its first-pass scores and gains retrievalRank (1-based position before
+ * reranking) and rerankScore (null with 'none'). When the LLM reranker fails, the lexical
+ * reranker is used instead.
+ * @param {string} query - User question
+ * @param {Array} chunks - Candidates from findTopSimilarChunks, best first
+ * @param {Object} options - { reranker, topK }
+ * @returns {Promise<Object>} { chunks, reranker, fallbackFrom } - top K chunks in their new order,
+ *   the reranker that produced it, and the reranker that failed (null when none did)
+ */
+export async function rerankChunks(query, chunks, { reranker = RERANK_CONFIG.RERANKER, topK = EMBEDDING_CONFIG.DEFAULT_TOP_CHUNKS } = {}) {
+    const candidates = chunks.map((chunk, index) => ({ ...chunk, retrievalRank: index + 1, rerankScore: null }));
+    let rerankerName = resolveReranker(reranker);
+    let fallbackFrom = null;
+
+    if (rerankerName === 'none' || candidates.length === 0) {
+        return { chunks: candidates.slice(0, topK), reranker: rerankerName, fallbackFrom };
+    }
+
+    let scores;
+    try {
+        scores = await rerankers.get(rerankerName).score(query, candidates);
+    } catch (error) {
+        if (rerankerName !== llmReranker.name) {
+            throw error;
+        }
+        console.error(`⚠️ LLM reranking failed, using lexical reranking: ${error.message}`);
+        fallbackFrom = rerankerName;
+        rerankerName = lexicalReranker.name;
+        scores = await lexicalReranker.score(query, candidates);
+    }
+
+    const reranked = candidates
+        .map((chunk, index) => ({ ...chunk, rerankScore: scores[index] }))
+        .sort((a, b) => b.rerankScore - a.rerankScore || a.retrievalRank - b.retrievalRank)
+        .slice(0, topK);
+
+    console.log(`🔀 Reranked ${candidates.length} candidate(s) with ${rerankerName}:`,
+        reranked.map(chunk => ({
+            docId: chunk.docId,
+            chunkIndex: chunk.chunkIndex,
+            retrievalRank: chunk.retrievalRank,
+            rerankScore: chunk.rerankScore.toFixed(LOGGING_CONFIG.SIMILARITY_SCORE_PRECISION)
+        }))
+    );
+    return { chunks: reranked, reranker: rerankerName, fallbackFrom };
+}
+
+// Built-in rerankers
+[lexicalReranker, llmReranker].forEach(registerReranker);
@@ -0,0 +1,48 @@
+import { listCachedPrompts, clearPromptCache, getPromptCacheStats } from "../store/prompt.cache.js";
+import { API_MESSAGES, ERROR_MESSAGES } from '../config/app.config.js';
+import express from "express";
+
+const router = express.Router();
+
+/**
+ * Prompt embedding cache usage, limits and hit/miss counters
+ * GET /cache/stats
+ */
+router.get("/stats", (request, response) => {
+    try {
+        response.json({ success: true, stats: getPromptCacheStats() });
+    } catch (error) {
+        console.log("🚀 ~ Cache stats error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.GET_CACHE_STATS_ERROR, details: error.message });
+    }
+});
+
+/**
+ * List cached prompt embeddings (without vectors), most recently used first
+ * GET /cache/prompts
+ */
+router.get("/prompts", (request, response) => {
+    try {
+        const prompts = listCachedPrompts();
+        response.json({ success: true, count: prompts.length, prompts: prompts });
+    } catch (error) {
+        console.log("🚀 ~ Get cached prompts error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.GET_CACHED_PROMPTS_ERROR, details: error.message });
+    }
+});
+
+/**
+ * Clear cached prompt embeddings
+ * DELETE /cache/prompts (optional ?embeddingModel=gemini/gemini-embedding-001 to clear one model only)
+ */
+router.delete("/prompts", (request, response) => {
+    try {
+        const cleared = clearPromptCache(request.query.embeddingModel || null);
+        response.json({ success: true, message: API_MESSAGES.PROMPT_CACHE_CLEARED, cleared: cleared });
+    } catch (error) {
+        console.log("🚀 ~ Clear cache error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.CLEAR_CACHE_ERROR, details: error.message });
+    }
+});
+
+export default router;
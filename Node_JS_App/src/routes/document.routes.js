@@ -0,0 +1,177 @@
+import { processDocument } from "../document-processer.js";
+import DocumentService from "../services/document.service.js";
+import { uploadDocument, getDocumentPath, storeUpload, discardUpload } from "../middleware/upload.middleware.js";
+import { readChunkingRequest, resolveChunkingSettings } from "../chunking/chunking.registry.js";
+import { API_MESSAGES, ERROR_MESSAGES, PDF_CONFIG } from '../config/app.config.js';
+import multer from "multer";
+import express from "express";
+
+const router = express.Router();
+
+/**
+ * Run the upload middleware and turn its callback into a promise
+ * @param {Object} request - Express request
+ * @param {Object} response - Express response
+ * @returns {Promise<void>}
+ */
+function handleUpload(request, response) {
+    return new Promise((resolve, reject) => {
+        uploadDocument(request, response, (error) => (error ? reject(error) : resolve()));
+    });
+}
+
+/**
+ * Map upload errors to an HTTP status and message
+ * @param {Error} error - Error raised by multer or the file filter
+ * @returns {Object|null} Status and message, or null for unexpected errors
+ */
+function getUploadErrorResponse(error) {
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+        return { status: 413, error: `${ERROR_MESSAGES.FILE_TOO_LARGE} (${PDF_CONFIG.MAX_FILE_SIZE})` };
+    }
+    if (error instanceof multer.MulterError) {
+        return { status: 400, error: error.message };
+    }
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+        return { status: 415, error: error.message };
+    }
+    return null;
+}
+
+/**
+ * Upload a document, store it under storage/documents and index it
+ * POST /documents (multipart/form-data, field "file")
+ * Optional fields: chunkStrategy ('sentence' | 'sliding-window' | 'token' | 'paragraph')
+ * and chunkOptions (JSON, e.g. {"chunkSize":800,"overlap":150})
+ */
+router.post("/", async (request, response) => {
+    try {
+        await handleUpload(request, response);
+    } catch (error) {
+        discardUpload(request);
+        const uploadError = getUploadErrorResponse(error);
+        if (uploadError) {
+            response.status(uploadError.status).json({ success: false, error: uploadError.error });
+            return;
+        }
+        console.log("🚀 ~ Document upload error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.DOCUMENT_UPLOAD_ERROR, details: error.message });
+        return;
+    }
+
+    if (!request.file) {
+        discardUpload(request);
+        response.status(400).json({ success: false, error: API_MESSAGES.NO_FILE_UPLOADED });
+        return;
+    }
+
+    let chunking;
+    try {
+        chunking = readChunkingRequest(request.body);
+        resolveChunkingSettings(chunking.strategy, chunking.options);
+    } catch (error) {
+        discardUpload(request);
+        response.status(400).json({ success: false, error: ERROR_MESSAGES.INVALID_CHUNKING_OPTIONS, details: error.message });
+        return;
+    }
+
+    try {
+        const embeddings = await processDocument(request.file.path, chunking, { storedPath: getDocumentPath(request.file) });
+        storeUpload(request);
+        response.status(201).json({
+            success: true,
+            message: API_MESSAGES.DOCUMENT_UPLOADED,
+            documentId: embeddings.pdfId,
+            docName: request.file.filename,
+            chunking: embeddings.chunking,
+            changes: embeddings.changes,
+            embeddings: {
+                count: embeddings.totalEmbeddings,
+                message: embeddings.message
+            }
+        });
+    } catch (error) {
+        console.log("🚀 ~ Document processing error:", error);
+        // Do not keep files that could not be indexed; a stored file with the same name stays
+        discardUpload(request);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.PDF_CHUNK_ERROR, details: error.message });
+    }
+});
+
+/**
+ * List stored documents with their chunk count and ingest date
+ * GET /documents
+ */
+router.get("/", (request, response) => {
+    try {
+        const documents = DocumentService.listDocuments();
+        response.json({ success: true, count: documents.length, documents });
+    } catch (error) {
+        console.log("🚀 ~ List documents error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.LIST_DOCUMENTS_ERROR, details: error.message });
+    }
+});
+
+/**
+ * Get a document's metadata and a preview of each chunk
+ * GET /documents/:id
+ */
+router.get("/:id", (request, response) => {
+    try {
+        const document = DocumentService.getDocument(request.params.id);
+        if (!document) {
+            response.status(404).json({ success: false, error: ERROR_MESSAGES.UNKNOWN_DOCUMENT });
+            return;
+        }
+        response.json({ success: true, document });
+    } catch (error) {
+        console.log("🚀 ~ Get document error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.GET_DOCUMENT_ERROR, details: error.message });
+    }
+});
+
+/**
+ * Get a page of a document's chunks with their full text
+ * GET /documents/:id/chunks?page=1&pageSize=20 (pageSize is capped at DOCUMENT_API_CONFIG.MAX_PAGE_SIZE)
+ */
+router.get("/:id/chunks", (request, response) => {
+    let pagination;
+    try {
+        pagination = DocumentService.readPagination(request.query);
+    } catch (error) {
+        response.status(400).json({ success: false, error: ERROR_MESSAGES.INVALID_PAGINATION, details: error.message });
+        return;
+    }
+
+    try {
+        const result = DocumentService.getDocumentChunks(request.params.id, pagination);
+        if (!result) {
+            response.status(404).json({ success: false, error: ERROR_MESSAGES.UNKNOWN_DOCUMENT });
+            return;
+        }
+        response.json({ success: true, ...result });
+    } catch (error) {
+        console.log("🚀 ~ Get document chunks error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.GET_DOCUMENT_ERROR, details: error.message });
+    }
+});
+
+/**
+ * Delete a document: embeddings, search indexes, uploaded file and the cached answers built from it
+ * DELETE /documents/:id
+ */
+router.delete("/:id", (request, response) => {
+    try {
+        const result = DocumentService.deleteDocument(request.params.id);
+        if (!result) {
+            response.status(404).json({ success: false, error: ERROR_MESSAGES.UNKNOWN_DOCUMENT });
+            return;
+        }
+        response.json({ success: true, message: API_MESSAGES.DOCUMENT_DELETED, ...result });
+    } catch (error) {
+        console.log("🚀 ~ Delete document error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.DELETE_DOCUMENT_ERROR, details: error.message });
+    }
+});
+
+export default router;
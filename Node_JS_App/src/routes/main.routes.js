@@ -1,12 +1,131 @@
 import { processPdf } from "../document-processer.js";
 import RAGService from "../services/rag.service.js";
-import { API_MESSAGES, ERROR_MESSAGES } from '../config/app.config.js';
+import DocumentService from "../services/document.service.js";
+import { API_MESSAGES, ERROR_MESSAGES, CACHE_CONFIG, QUERY_API_CONFIG } from '../config/app.config.js';
 import { FILE_PATHS } from '../config/path.js';
 import { queryDB } from '../store/sqlite.db.js';
+import { readChunkingRequest } from '../chunking/chunking.registry.js';
+import { resolveReranker, getRerankers } from '../reranking/reranker.registry.js';
 import express from "express";
 
 const router = express.Router();
 
+/**
+ * Read document ids from ?docIds=a,b or repeated ?docIds=a&docIds=b
+ * @param {string|string[]|undefined} value - Raw query parameter
+ * @returns {string[]} Array of document ids
+ */
+function parseDocIds(value) {
+    if (!value) {
+        return [];
+    }
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(item => String(item).split(','))
+        .map(docId => docId.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Read the retrieval options of a query request (?docIds=...&reranker=...&mmrLambda=...)
+ * Answers 400 for unknown document ids, an unknown reranker or an invalid mmrLambda
+ * @param {Object} request - Express request
+ * @param {Object} response - Express response
+ * @returns {Object|null} Options for RAGService ({ docIds, reranker, mmrLambda }), or null when the response was sent
+ */
+function readQueryOptions(request, response) {
+    const docIds = parseDocIds(request.query.docIds);
+    const unknownDocIds = DocumentService.findUnknownDocIds(docIds);
+    if (unknownDocIds.length > 0) {
+        response.status(400).json({
+            success: false,
+            error: ERROR_MESSAGES.UNKNOWN_DOCUMENT_IDS,
+            unknownDocIds: unknownDocIds
+        });
+        return null;
+    }
+
+    const mmrLambda = request.query.mmrLambda === undefined ? undefined : Number(request.query.mmrLambda);
+    if (mmrLambda !== undefined && !(mmrLambda >= 0 && mmrLambda <= 1)) {
+        response.status(400).json({ success: false, error: '"mmrLambda" must be a number between 0 and 1' });
+        return null;
+    }
+
+    try {
+        const reranker = request.query.reranker ? resolveReranker(String(request.query.reranker)) : undefined;
+        return { docIds, reranker, mmrLambda };
+    } catch (error) {
+        response.status(400).json({ success: false, error: ERROR_MESSAGES.INVALID_RERANKER, details: error.message });
+        return null;
+    }
+}
+
+// Fields of a POST /query body: [check, expected value shown in the 400 response]
+const QUERY_BODY_RULES = {
+    prompt: [value => typeof value === 'string' && value.trim() !== '', 'a non-empty string'],
+    topK: [value => Number.isInteger(value) && value >= 1 && value <= QUERY_API_CONFIG.MAX_TOP_K, `an integer from 1 to ${QUERY_API_CONFIG.MAX_TOP_K}`],
+    minScore: [value => typeof value === 'number' && value >= -1 && value <= 1, 'a number from -1 to 1'],
+    model: [value => typeof value === 'string' && value.trim() !== '', 'a non-empty string'],
+    temperature: [value => typeof value === 'number' && value >= 0 && value <= QUERY_API_CONFIG.MAX_TEMPERATURE, `a number from 0 to ${QUERY_API_CONFIG.MAX_TEMPERATURE}`],
+    maxOutputTokens: [value => Number.isInteger(value) && value >= 1 && value <= QUERY_API_CONFIG.MAX_OUTPUT_TOKENS, `an integer from 1 to ${QUERY_API_CONFIG.MAX_OUTPUT_TOKENS}`],
+    docIds: [value => Array.isArray(value) && value.every(docId => typeof docId === 'string' && docId.trim() !== ''), 'an array of document ids'],
+    bypassCache: [value => typeof value === 'boolean', 'true or false'],
+    reranker: [value => getRerankers().includes(value), `one of ${getRerankers().join(', ')}`],
+    mmrLambda: [value => typeof value === 'number' && value >= 0 && value <= 1, 'a number from 0 to 1']
+};
+
+// POST /query/explain also takes whether to generate the answer
+const EXPLAIN_BODY_RULES = {
+    ...QUERY_BODY_RULES,
+    generate: [value => typeof value === 'boolean', 'true or false']
+};
+
+/**
+ * Read and validate a POST /query body
+ * Answers 400 listing every invalid or unknown field, or for unknown document ids
+ * @param {Object} request - Express request
+ * @param {Object} response - Express response
+ * @param {Object} [rules] - Accepted fields, as { field: [isValid, expected] }
+ * @returns {Object|null} { prompt, options } where options are ready for RAGService, or null when the response was sent
+ */
+function readQueryBody(request, response, rules = QUERY_BODY_RULES) {
+    const body = request.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        response.status(400).json({ success: false, error: API_MESSAGES.INVALID_PROMPT });
+        return null;
+    }
+
+    const errors = Object.keys(body)
+        .filter(field => !rules[field])
+        .map(field => `"${field}" is not a query option`);
+    if (body.prompt === undefined) {
+        errors.push('"prompt" is required');
+    }
+    Object.entries(rules).forEach(([field, [isValid, expected]]) => {
+        if (body[field] !== undefined && !isValid(body[field])) {
+            errors.push(`"${field}" must be ${expected}`);
+        }
+    });
+    if (errors.length > 0) {
+        response.status(400).json({ success: false, error: ERROR_MESSAGES.INVALID_QUERY_OPTIONS, details: errors });
+        return null;
+    }
+
+    const { prompt, ...options } = body;
+    const docIds = (options.docIds || []).map(docId => docId.trim());
+    const unknownDocIds = DocumentService.findUnknownDocIds(docIds);
+    if (unknownDocIds.length > 0) {
+        response.status(400).json({
+            success: false,
+            error: ERROR_MESSAGES.UNKNOWN_DOCUMENT_IDS,
+            unknownDocIds: unknownDocIds
+        });
+        return null;
+    }
+
+    return { prompt: prompt.trim(), options: { ...options, docIds } };
+}
+
 /**
  * Health check endpoint
  */
@@ -15,23 +134,75 @@ router.get("/", (request, response) => {
 });
 
 /**
- * Main query endpoint - processes user questions using RAG
+ * Write one Server-Sent Event
+ * @param {Object} response - Express response
+ * @param {string} event - Event name
+ * @param {*} data - Event payload, sent as JSON
  */
-router.get("/query", async (request, response) => {
+function writeServerSentEvent(response, event, data) {
+    response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream a RAG answer over Server-Sent Events
+ * Events: metadata (retrieval info), token (answer fragments), done (queryId and full answer), error
+ * @param {Object} request - Express request
+ * @param {Object} response - Express response
+ * @param {string} userPrompt - User's question
+ * @param {Object} options - Options passed to RAGService.processPromptStream
+ */
+async function streamQueryAnswer(request, response, userPrompt, options) {
+    response.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    response.flushHeaders();
+
+    // The response closes early only when the client disconnects (the request also
+    // emits 'close' once a POST body has been read, so it cannot tell)
+    let clientClosed = false;
+    response.on('close', () => {
+        clientClosed = true;
+    });
+
+    try {
+        for await (const event of RAGService.processPromptStream(userPrompt, options)) {
+            // Stop generating (and skip saving a partial answer) once the client is gone
+            if (clientClosed) break;
+            writeServerSentEvent(response, event.type, event.type === 'token' ? { text: event.data } : event.data);
+        }
+    } catch (error) {
+        console.log("🚀 ~ Query stream error:", error);
+        if (!clientClosed) {
+            writeServerSentEvent(response, 'error', { error: ERROR_MESSAGES.PROCESS_PROMPT_ERROR, details: error.message });
+        }
+    }
+    response.end();
+}
+
+/**
+ * Answer a question as JSON, or over Server-Sent Events when the client sends "Accept: text/event-stream"
+ * @param {Object} request - Express request
+ * @param {Object} response - Express response
+ * @param {string} userPrompt - User's question
+ * @param {Object} options - Options passed to RAGService
+ */
+async function answerQuery(request, response, userPrompt, options) {
     try {
-        const userPrompt = request.query.prompt || request.query.q;
-        if (!userPrompt) {
-            response.status(400).json({ error: API_MESSAGES.INVALID_PROMPT });
+        if (request.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+            await streamQueryAnswer(request, response, userPrompt, options);
             return;
         }
 
-        const result = await RAGService.processPrompt(userPrompt);
+        const result = await RAGService.processPrompt(userPrompt, options);
 
         response.json({
             success: true,
             prompt: userPrompt,
             answer: result.answer,
             queryId: result.queryId,
+            sources: result.sources,
             metadata: result.metadata
         });
     } catch (error) {
@@ -42,18 +213,104 @@ router.get("/query", async (request, response) => {
             details: error.message 
         });
     }
+}
+
+/**
+ * Main query endpoint - processes user questions using RAG
+ * GET /query?prompt=...&docIds=...&reranker=...&mmrLambda=...
+ * Streams the answer instead when the client sends "Accept: text/event-stream"
+ */
+router.get("/query", async (request, response) => {
+    const userPrompt = request.query.prompt || request.query.q;
+    if (!userPrompt) {
+        response.status(400).json({ error: API_MESSAGES.INVALID_PROMPT });
+        return;
+    }
+
+    const options = readQueryOptions(request, response);
+    if (!options) {
+        return;
+    }
+
+    await answerQuery(request, response, userPrompt, options);
+});
+
+/**
+ * Query endpoint with per-request retrieval and generation options
+ * POST /query { "prompt": "...", "topK": 5, "minScore": 0.3, "model": "...", "temperature": 0.2,
+ *   "maxOutputTokens": 512, "docIds": ["..."], "bypassCache": true, "reranker": "lexical", "mmrLambda": 0.5 }
+ * Streams the answer instead when the client sends "Accept: text/event-stream"
+ */
+router.post("/query", express.json(), async (request, response) => {
+    const query = readQueryBody(request, response);
+    if (!query) {
+        return;
+    }
+
+    await answerQuery(request, response, query.prompt, query.options);
+});
+
+/**
+ * Explain how a question is answered, without serving or saving anything
+ * POST /query/explain { "prompt": "...", "generate": false, ...same options as POST /query }
+ * Returns the scored ranking of every candidate chunk, the chosen context, the exact LLM prompt,
+ * the cache decisions and the time spent in each stage; "generate": false skips the answer
+ */
+router.post("/query/explain", express.json(), async (request, response) => {
+    const query = readQueryBody(request, response, EXPLAIN_BODY_RULES);
+    if (!query) {
+        return;
+    }
+
+    try {
+        const result = await RAGService.explainPrompt(query.prompt, query.options);
+        response.json({
+            success: true,
+            prompt: query.prompt,
+            ...result
+        });
+    } catch (error) {
+        console.log("🚀 ~ Explain query error:", error);
+        response.status(500).json({
+            success: false,
+            error: ERROR_MESSAGES.EXPLAIN_QUERY_ERROR,
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Streaming query endpoint - same as /query, answer sent over Server-Sent Events
+ * GET /query/stream?prompt=...&docIds=...&reranker=...&mmrLambda=...
+ */
+router.get("/query/stream", async (request, response) => {
+    const userPrompt = request.query.prompt || request.query.q;
+    if (!userPrompt) {
+        response.status(400).json({ error: API_MESSAGES.INVALID_PROMPT });
+        return;
+    }
+
+    const options = readQueryOptions(request, response);
+    if (!options) {
+        return;
+    }
+
+    await streamQueryAnswer(request, response, userPrompt, options);
 });
 
 /**
  * PDF processing endpoint - extracts text and generates embeddings
+ * Optional query: ?chunkStrategy=sliding-window&chunkOptions={"chunkSize":800,"overlap":150}
  */
 router.get("/process-pdf", async (request, response) => {
     try {
-        const embeddings = await processPdf(FILE_PATHS.TEST_PDF);
+        const embeddings = await processPdf(FILE_PATHS.TEST_PDF, readChunkingRequest(request.query));
         response.json({
             success: true,
             message: "PDF processed successfully",
             docName: FILE_PATHS.TEST_PDF,
+            chunking: embeddings.chunking,
+            changes: embeddings.changes,
             embeddings: {
                 count: embeddings.totalEmbeddings,
                 pdfId: embeddings.pdfId,
@@ -61,6 +318,10 @@ router.get("/process-pdf", async (request, response) => {
             }
         });
     } catch (error) {
+        if (error.code === 'INVALID_CHUNKING_OPTIONS') {
+            response.status(400).json({ success: false, error: ERROR_MESSAGES.INVALID_CHUNKING_OPTIONS, details: error.message });
+            return;
+        }
         console.log("🚀 ~ PDF processing error:", error);
         response.status(500).json({ success: false, error: "Failed to extract PDF chunks" });
     }
@@ -84,6 +345,64 @@ router.get("/queries", async (request, response) => {
     }
 });
 
+/**
+ * List cached answers that are stale because a document they used was re-ingested or deleted
+ * GET /queries/stale
+ */
+router.get("/queries/stale", (request, response) => {
+    try {
+        const queries = queryDB.getStaleQueries();
+        response.json({ success: true, count: queries.length, queries: queries });
+    } catch (error) {
+        console.log("🚀 ~ Get stale queries error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.GET_STALE_QUERIES_ERROR, details: error.message });
+    }
+});
+
+/**
+ * Answer stale questions again; the new answers replace the stale ones
+ * POST /queries/stale/recompute { "queryIds"?: string[], "limit"?: number }
+ */
+router.post("/queries/stale/recompute", async (request, response) => {
+    try {
+        const { queryIds = null, limit = CACHE_CONFIG.STALE_RECOMPUTE_LIMIT } = request.body || {};
+        if (queryIds !== null && (!Array.isArray(queryIds) || queryIds.some(queryId => typeof queryId !== 'string'))) {
+            response.status(400).json({ success: false, error: '"queryIds" must be an array of query ids' });
+            return;
+        }
+        if (!Number.isInteger(limit) || limit < 1) {
+            response.status(400).json({ success: false, error: '"limit" must be a positive integer' });
+            return;
+        }
+
+        const result = await RAGService.recomputeStaleAnswers({ queryIds, limit });
+        response.json({ success: true, ...result });
+    } catch (error) {
+        console.log("🚀 ~ Recompute stale queries error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.RECOMPUTE_STALE_QUERIES_ERROR, details: error.message });
+    }
+});
+
+/**
+ * Questions answered "not found", grouped by prompt and most frequently asked first
+ * GET /queries/unanswered?limit=50
+ */
+router.get("/queries/unanswered", (request, response) => {
+    try {
+        const limit = request.query.limit === undefined ? null : Number(request.query.limit);
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+            response.status(400).json({ success: false, error: '"limit" must be a positive integer' });
+            return;
+        }
+
+        const questions = queryDB.getUnansweredQuestions(limit);
+        response.json({ success: true, count: questions.length, questions: questions });
+    } catch (error) {
+        console.log("🚀 ~ Get unanswered questions error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.GET_UNANSWERED_QUESTIONS_ERROR, details: error.message });
+    }
+});
+
 /**
  * Get query statistics
  */
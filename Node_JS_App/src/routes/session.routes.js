@@ -0,0 +1,77 @@
+import ConversationService from "../services/conversation.service.js";
+import DocumentService from "../services/document.service.js";
+import { API_MESSAGES, ERROR_MESSAGES } from '../config/app.config.js';
+import express from "express";
+
+const router = express.Router();
+
+/**
+ * Create a conversation session
+ * POST /sessions { "title"?: string, "docIds"?: string[] }
+ * Every question of the session is limited to docIds (default: whole corpus)
+ */
+router.post("/", (request, response) => {
+    try {
+        const { title = null, docIds = [] } = request.body || {};
+        if (!Array.isArray(docIds) || docIds.some(docId => typeof docId !== 'string')) {
+            response.status(400).json({ success: false, error: ERROR_MESSAGES.UNKNOWN_DOCUMENT_IDS, details: '"docIds" must be an array of document ids' });
+            return;
+        }
+
+        const unknownDocIds = DocumentService.findUnknownDocIds(docIds);
+        if (unknownDocIds.length > 0) {
+            response.status(400).json({ success: false, error: ERROR_MESSAGES.UNKNOWN_DOCUMENT_IDS, unknownDocIds: unknownDocIds });
+            return;
+        }
+
+        const session = ConversationService.createSession(title ? String(title) : null, docIds);
+        response.status(201).json({ success: true, message: API_MESSAGES.SESSION_CREATED, session });
+    } catch (error) {
+        console.log("🚀 ~ Create session error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.CREATE_SESSION_ERROR, details: error.message });
+    }
+});
+
+/**
+ * Ask a question in a session; follow-ups are rewritten into standalone queries
+ * POST /sessions/:id/messages { "message": string }
+ */
+router.post("/:id/messages", async (request, response) => {
+    try {
+        const message = request.body?.message;
+        if (typeof message !== 'string' || !message.trim()) {
+            response.status(400).json({ success: false, error: API_MESSAGES.INVALID_MESSAGE });
+            return;
+        }
+
+        const result = await ConversationService.sendMessage(request.params.id, message.trim());
+        if (!result) {
+            response.status(404).json({ success: false, error: ERROR_MESSAGES.SESSION_NOT_FOUND });
+            return;
+        }
+        response.json({ success: true, ...result });
+    } catch (error) {
+        console.log("🚀 ~ Session message error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.PROCESS_PROMPT_ERROR, details: error.message });
+    }
+});
+
+/**
+ * Get a session with its message history
+ * GET /sessions/:id
+ */
+router.get("/:id", (request, response) => {
+    try {
+        const session = ConversationService.getSession(request.params.id);
+        if (!session) {
+            response.status(404).json({ success: false, error: ERROR_MESSAGES.SESSION_NOT_FOUND });
+            return;
+        }
+        response.json({ success: true, session });
+    } catch (error) {
+        console.log("🚀 ~ Get session error:", error);
+        response.status(500).json({ success: false, error: ERROR_MESSAGES.GET_SESSION_ERROR, details: error.message });
+    }
+});
+
+export default router;
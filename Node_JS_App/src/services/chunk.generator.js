@@ -2,75 +2,128 @@ import { EMBEDDING_CONFIG } from '../config/app.config.js';
 let textChunks = [];
 
 /**
- * Converts text into multiple chunks without breaking words
+ * Converts text into multiple chunks without breaking words, and records where
+ * each chunk starts and ends in the source text
  * @param {string} text - The text to chunk
  * @param {number} maxChunkSize - Maximum characters per chunk (default 700)
- * @returns {string[]} - Array of text chunks
+ * @returns {Array} - Array of { text, startOffset, endOffset } (endOffset is exclusive)
  */
-export function createTextChunks(text, maxChunkSize = EMBEDDING_CONFIG.CHUNK_SIZE_LIMIT) {
-    textChunks = []; // Reset the global array
+export function createTextChunkSpans(text, maxChunkSize = EMBEDDING_CONFIG.CHUNK_SIZE_LIMIT) {
+    const spans = [];
 
     if (!text || text.trim() === '') {
-        return textChunks;
+        return spans;
     }
 
     // Split text by sentences first, then by words if needed
-    const sentences = text.split(/[.!?]+/).filter(sentence => sentence.trim() !== '');
+    const sentences = [];
+    for (const match of text.matchAll(/[^.!?]+/g)) {
+        const leadingSpace = match[0].length - match[0].trimStart().length;
+        const sentence = match[0].trim();
+        if (!sentence) continue;
+        const startOffset = match.index + leadingSpace;
+        sentences.push({ text: sentence, startOffset, endOffset: startOffset + sentence.length });
+    }
 
-    let currentChunk = '';
+    let currentChunk = null;
 
-    for (let sentence of sentences) {
-        sentence = sentence.trim();
-        if (!sentence) continue;
+    const pushChunk = (chunk) => {
+        spans.push({ text: chunk.text.trim(), startOffset: chunk.startOffset, endOffset: chunk.endOffset });
+    };
+
+    for (const sentence of sentences) {
+        const currentLength = currentChunk ? currentChunk.text.length : 0;
 
         // If adding this sentence would exceed chunk size
-        if (currentChunk.length + sentence.length + 1 > maxChunkSize) {
+        if (currentLength + sentence.text.length + 1 > maxChunkSize) {
             if (currentChunk) {
-                textChunks.push(currentChunk.trim());
-                currentChunk = '';
+                pushChunk(currentChunk);
+                currentChunk = null;
             }
 
             // If single sentence is too long, split by words
-            if (sentence.length > maxChunkSize) {
-                const words = sentence.split(' ');
-                let wordChunk = '';
+            if (sentence.text.length > maxChunkSize) {
+                let wordChunk = null;
+                let wordOffset = sentence.startOffset;
 
-                for (let word of words) {
-                    if (wordChunk.length + word.length + 1 > maxChunkSize) {
+                for (const word of sentence.text.split(' ')) {
+                    const wordSpan = { text: word, startOffset: wordOffset, endOffset: wordOffset + word.length };
+                    wordOffset += word.length + 1;
+
+                    const wordChunkLength = wordChunk ? wordChunk.text.length : 0;
+                    if (wordChunkLength + word.length + 1 > maxChunkSize) {
                         if (wordChunk) {
-                            textChunks.push(wordChunk.trim());
-                            wordChunk = word;
+                            pushChunk(wordChunk);
+                            wordChunk = wordSpan;
                         } else {
                             // Single word too long, force split
-                            textChunks.push(word);
+                            spans.push(wordSpan);
                         }
+                    } else if (wordChunk) {
+                        wordChunk.text += ' ' + word;
+                        wordChunk.endOffset = wordSpan.endOffset;
                     } else {
-                        wordChunk += (wordChunk ? ' ' : '') + word;
+                        wordChunk = wordSpan;
                     }
                 }
                 if (wordChunk) {
                     currentChunk = wordChunk;
                 }
             } else {
-                currentChunk = sentence;
+                currentChunk = { ...sentence };
             }
+        } else if (currentChunk) {
+            currentChunk.text += '. ' + sentence.text;
+            currentChunk.endOffset = sentence.endOffset;
         } else {
-            currentChunk += (currentChunk ? '. ' : '') + sentence;
+            currentChunk = { ...sentence };
         }
     }
 
     // Add the last chunk
-    if (currentChunk.trim()) {
-        textChunks.push(currentChunk.trim());
+    if (currentChunk && currentChunk.text.trim()) {
+        pushChunk(currentChunk);
     }
 
+    return spans;
+}
+
+/**
+ * Converts text into multiple chunks without breaking words
+ * @param {string} text - The text to chunk
+ * @param {number} maxChunkSize - Maximum characters per chunk (default 700)
+ * @returns {string[]} - Array of text chunks
+ */
+export function createTextChunks(text, maxChunkSize = EMBEDDING_CONFIG.CHUNK_SIZE_LIMIT) {
+    textChunks = createTextChunkSpans(text, maxChunkSize).map(span => span.text);
     return textChunks;
 }
 
+/**
+ * Find the page a text offset falls on
+ * @param {Array} pages - Page ranges { page, startOffset, endOffset } from the extractor
+ * @param {number} offset - Offset in the document text
+ * @returns {number|null} - Page number, or null for documents without pages
+ */
+export function findPageForOffset(pages, offset) {
+    if (!pages || pages.length === 0) {
+        return null;
+    }
+
+    const match = pages.find(page => offset >= page.startOffset && offset < page.endOffset);
+    if (match) {
+        return match.page;
+    }
+
+    // Offset on a separator between pages belongs to the next page
+    const nextPage = pages.find(page => page.startOffset >= offset);
+    return (nextPage || pages[pages.length - 1]).page;
+}
+
 /**
  * Get the global chunks array
  * @returns {string[]} - Array of text chunks
  */
 export function getTextChunks() {
     return textChunks;
-}
\ No newline at end of file
+}
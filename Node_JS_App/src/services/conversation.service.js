@@ -0,0 +1,161 @@
+import RAGService from "./rag.service.js";
+import { generateAnswerFromLLM, getActiveModels } from "./genai.service.js";
+import { queryDB } from '../store/sqlite.db.js';
+import { countTokens, tokenizeForSearch } from '../utils/tokenizer.js';
+import { CONVERSATION_CONFIG, LLM_CONFIG } from '../config/app.config.js';
+
+/**
+ * Conversation Service - Multi-turn sessions on top of the RAG pipeline
+ */
+class ConversationService {
+    /**
+     * Create a session
+     * @param {string|null} title - Optional title
+     * @param {string[]} docIds - Documents every question of the session is limited to (empty for the whole corpus)
+     * @returns {Object} Created session
+     */
+    static createSession(title = null, docIds = []) {
+        return queryDB.createSession(title, docIds);
+    }
+
+    /**
+     * Get a session with its messages
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} Session with `messages`, or null if unknown
+     */
+    static getSession(sessionId) {
+        const session = queryDB.getSession(sessionId);
+        if (!session) {
+            return null;
+        }
+        return { ...session, messages: queryDB.getSessionMessages(sessionId) };
+    }
+
+    /**
+     * Format the most recent messages that fit in a token budget, oldest first
+     * @param {Array} messages - Session messages ({ role, content }), oldest first
+     * @param {number} maxTokens - Token budget for the whole history
+     * @returns {Object} { text, messageCount } where text holds "User: ..." / "Assistant: ..." lines
+     *   (empty when nothing fits)
+     */
+    static buildHistory(messages, maxTokens = CONVERSATION_CONFIG.HISTORY_MAX_TOKENS) {
+        const lines = [];
+        let usedTokens = 0;
+
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const line = `${messages[i].role === 'user' ? 'User' : 'Assistant'}: ${messages[i].content}`;
+            const tokens = countTokens(line);
+            if (usedTokens + tokens > maxTokens) {
+                break;
+            }
+            lines.unshift(line);
+            usedTokens += tokens;
+        }
+
+        return { text: lines.join('\n'), messageCount: lines.length };
+    }
+
+    /**
+     * Check whether a question depends on the conversation (refers back with "it", "the second one",
+     * "what about ...", or is too short to stand on its own)
+     * @param {string} question - User's question
+     * @returns {boolean} True for a follow-up question
+     */
+    static isFollowUpQuestion(question) {
+        return CONVERSATION_CONFIG.FOLLOW_UP_PATTERN.test(question.trim())
+            || tokenizeForSearch(question).length <= CONVERSATION_CONFIG.FOLLOW_UP_MAX_TERMS;
+    }
+
+    /**
+     * Rewrite a follow-up without an LLM: prefix it with the last question that stood on its own,
+     * so retrieval still finds the passages the conversation is about
+     * @param {string} question - User's question
+     * @param {Array} messages - Session messages, oldest first
+     * @returns {string} Standalone query
+     */
+    static rewriteHeuristically(question, messages) {
+        const previousQuestions = messages.filter(message => message.role === 'user').reverse();
+        if (previousQuestions.length === 0 || !this.isFollowUpQuestion(question)) {
+            return question;
+        }
+        const topic = previousQuestions.find(message => !this.isFollowUpQuestion(message.content));
+        return `${topic ? topic.content : previousQuestions[0].standaloneQuery || previousQuestions[0].content} ${question}`;
+    }
+
+    /**
+     * Rewrite a follow-up question into a standalone query for retrieval. Questions that stand on
+     * their own are kept as they are, without an LLM call. Uses the LLM, except with the offline local provider (which can only extract sentences)
+     * or when the LLM call fails, where the heuristic rewrite is used.
+     * @param {string} question - User's question
+     * @param {Array} messages - Session messages, oldest first
+     * @returns {Promise<Object>} { standaloneQuery, rewrittenBy: 'none' | 'llm' | 'heuristic' }
+     */
+    static async rewriteQuestion(question, messages) {
+        if (messages.length === 0 || !this.isFollowUpQuestion(question)) {
+            return { standaloneQuery: question, rewrittenBy: 'none' };
+        }
+
+        if (getActiveModels().llmProvider !== 'local') {
+            try {
+                const history = this.buildHistory(messages.slice(-CONVERSATION_CONFIG.REWRITE_HISTORY_MESSAGES)).text;
+                const rewritePrompt = `${LLM_CONFIG.REWRITE_PROMPT}
+        ${LLM_CONFIG.CONVERSATION_LABEL}
+        ${history}
+
+        Follow-up question: ${question}`;
+                const rewritten = (await generateAnswerFromLLM(rewritePrompt, { temperature: 0 }))
+                    .trim()
+                    .replace(/^["']|["']$/g, '');
+                if (rewritten) {
+                    console.log(`✏️ Rewrote follow-up question: "${rewritten}"`);
+                    return { standaloneQuery: rewritten, rewrittenBy: 'llm' };
+                }
+            } catch (error) {
+                console.error('⚠️ Question rewrite failed, using heuristic rewrite:', error.message);
+            }
+        }
+
+        return { standaloneQuery: this.rewriteHeuristically(question, messages), rewrittenBy: 'heuristic' };
+    }
+
+    /**
+     * Answer a message in a session: rewrite it into a standalone query, run the RAG pipeline
+     * with the recent turns in the prompt, and store the question and answer in the session
+     * @param {string} sessionId - Session ID
+     * @param {string} content - User's message
+     * @returns {Promise<Object|null>} Answer with `standaloneQuery`, or null if the session is unknown
+     */
+    static async sendMessage(sessionId, content) {
+        const session = queryDB.getSession(sessionId);
+        if (!session) {
+            return null;
+        }
+
+        const messages = queryDB.getSessionMessages(sessionId);
+        const { standaloneQuery, rewrittenBy } = await this.rewriteQuestion(content, messages);
+        const history = this.buildHistory(messages);
+
+        const result = await RAGService.processPrompt(standaloneQuery, { docIds: session.docIds, history: history.text });
+
+        queryDB.addSessionMessages(sessionId, [
+            { role: 'user', content, standaloneQuery },
+            { role: 'assistant', content: result.answer, queryId: result.queryId, sources: result.sources }
+        ]);
+
+        return {
+            sessionId,
+            message: content,
+            standaloneQuery,
+            answer: result.answer,
+            queryId: result.queryId,
+            sources: result.sources,
+            metadata: {
+                ...result.metadata,
+                rewrittenBy,
+                historyMessages: history.messageCount
+            }
+        };
+    }
+}
+
+export default ConversationService;
@@ -0,0 +1,267 @@
+import fs from "fs";
+import path from "path";
+import { listStoredEmbeddings, loadEmbeddingsFromFile, deleteEmbeddings } from "../store/document.store.js";
+import { deleteKeywordIndex } from "../store/keyword-index.store.js";
+import { deleteEmbeddingCheckpoint } from "../store/embedding-checkpoint.store.js";
+import { removeDocumentFromAnnIndex } from "../vector-operations/ann.index.js";
+import { queryDB } from '../store/sqlite.db.js';
+import { hashText } from '../utils/util.js';
+import { STORAGE_PATHS } from '../config/path.js';
+import { DOCUMENT_API_CONFIG, EMBEDDING_CONFIG } from '../config/app.config.js';
+
+/**
+ * Document Service - Lists, inspects and deletes stored documents
+ */
+class DocumentService {
+    /**
+     * Summary of a stored document (no chunk text or vectors)
+     * @param {string} docId - Document identifier (files written before docId was stored lack it)
+     * @param {Object} data - Stored document
+     * @returns {Object} { documentId, docName, chunkCount, dimensions, createdAt, embeddingProvider, embeddingModel, chunking, contentHash }
+     */
+    static summarizeDocument(docId, data) {
+        return {
+            documentId: docId,
+            docName: data.docName || data.pdfId,
+            chunkCount: data.chunks.length,
+            dimensions: data.dimensions || data.chunks[0]?.embedding?.[0]?.values?.length || 0,
+            createdAt: data.createdAt || null,
+            embeddingProvider: data.embeddingProvider || null,
+            embeddingModel: data.embeddingModel || null,
+            chunking: data.chunking || null,
+            contentHash: data.contentHash || null
+        };
+    }
+
+    /**
+     * Chunk fields returned by the API (no vector)
+     * @param {Object} chunk - Stored chunk
+     * @param {number} chunkIndex - Chunk position in the document
+     * @returns {Object} { chunkIndex, page, startOffset, endOffset, hash }
+     */
+    static describeChunk(chunk, chunkIndex) {
+        return {
+            chunkIndex,
+            page: chunk.page ?? null,
+            startOffset: chunk.startOffset ?? null,
+            endOffset: chunk.endOffset ?? null,
+            hash: chunk.hash || null
+        };
+    }
+
+    /**
+     * List stored documents, newest first
+     * @returns {Array} Document summaries
+     */
+    static listDocuments() {
+        return listStoredEmbeddings()
+            .map(docId => ({ docId, data: loadEmbeddingsFromFile(docId) }))
+            .filter(({ data }) => data)
+            .map(({ docId, data }) => DocumentService.summarizeDocument(docId, data))
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+
+    /**
+     * Version of a stored document: changes when its chunks or embedding model change,
+     * and stays the same when identical content is processed again
+     * @param {Object} data - Stored document
+     * @returns {string} Short hex version
+     */
+    static getDocumentVersion(data) {
+        const chunkHashes = data.chunks.map(chunk => chunk.hash || hashText(chunk.text));
+        return hashText(JSON.stringify([data.embeddingModel || null, chunkHashes])).substring(0, 16);
+    }
+
+    /**
+     * Versions of the stored documents an answer used
+     * @param {string[]} docIds - Document identifiers
+     * @returns {Array} Array of { docId, version } (version is null for documents no longer stored)
+     */
+    static getDocumentVersions(docIds) {
+        return docIds.map(docId => {
+            const data = loadEmbeddingsFromFile(docId);
+            return { docId, version: data ? DocumentService.getDocumentVersion(data) : null };
+        });
+    }
+
+    /**
+     * Mark the cached answers that used another version of a document as stale
+     * @param {string} docId - Document identifier
+     * @param {string} reason - Why the answers are stale
+     * @returns {number} Number of answers marked stale
+     */
+    static markAnswersStale(docId, reason) {
+        const data = loadEmbeddingsFromFile(docId);
+        return queryDB.markQueriesStale(docId, reason, data ? DocumentService.getDocumentVersion(data) : null);
+    }
+
+    /**
+     * Find requested document ids that are not indexed
+     * @param {string[]} docIds - Requested document ids
+     * @returns {string[]} Unknown document ids
+     */
+    static findUnknownDocIds(docIds) {
+        if (docIds.length === 0) {
+            return [];
+        }
+        const indexedDocIds = listStoredEmbeddings();
+        return docIds.filter(docId => !indexedDocIds.includes(docId));
+    }
+
+    /**
+     * Check that a document id is well formed and stored, before it is used to build a file path
+     * @param {string} docId - Document identifier from a request
+     * @returns {boolean} True for a stored document
+     */
+    static isStoredDocId(docId) {
+        return typeof docId === 'string'
+            && DOCUMENT_API_CONFIG.DOCUMENT_ID_PATTERN.test(docId)
+            && listStoredEmbeddings().includes(docId);
+    }
+
+    /**
+     * Get a document with a short preview of each chunk
+     * @param {string} docId - Document identifier
+     * @returns {Object|null} Summary with `originalPath` and `chunks`, or null if unknown
+     */
+    static getDocument(docId) {
+        const data = DocumentService.isStoredDocId(docId) ? loadEmbeddingsFromFile(docId) : null;
+        if (!data) {
+            return null;
+        }
+
+        return {
+            ...DocumentService.summarizeDocument(docId, data),
+            originalPath: data.originalPath || null,
+            chunks: data.chunks.map((chunk, index) => ({
+                ...DocumentService.describeChunk(chunk, index),
+                preview: chunk.text.substring(0, EMBEDDING_CONFIG.FULL_TEXT_PREVIEW_LENGTH)
+            }))
+        };
+    }
+
+    /**
+     * Read and validate pagination parameters
+     * @param {Object} query - Request query ({ page, pageSize })
+     * @returns {Object} { page, pageSize }
+     * @throws {Error} With code 'INVALID_PAGINATION' when a value is not a positive integer
+     */
+    static readPagination(query = {}) {
+        const readInteger = (value, name, defaultValue) => {
+            if (value === undefined || value === '') return defaultValue;
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 1) {
+                const error = new Error(`${name} must be a positive integer`);
+                error.code = 'INVALID_PAGINATION';
+                throw error;
+            }
+            return number;
+        };
+
+        const page = readInteger(query.page, 'page', 1);
+        const pageSize = Math.min(readInteger(query.pageSize, 'pageSize', DOCUMENT_API_CONFIG.DEFAULT_PAGE_SIZE), DOCUMENT_API_CONFIG.MAX_PAGE_SIZE);
+        return { page, pageSize };
+    }
+
+    /**
+     * Get one page of a document's chunks with their full text
+     * @param {string} docId - Document identifier
+     * @param {Object} pagination - { page, pageSize }
+     * @returns {Object|null} { documentId, chunks, pagination: { page, pageSize, totalChunks, totalPages } }, or null if unknown
+     */
+    static getDocumentChunks(docId, { page, pageSize }) {
+        const data = DocumentService.isStoredDocId(docId) ? loadEmbeddingsFromFile(docId) : null;
+        if (!data) {
+            return null;
+        }
+
+        const start = (page - 1) * pageSize;
+        const chunks = data.chunks.slice(start, start + pageSize).map((chunk, offset) => ({
+            ...DocumentService.describeChunk(chunk, start + offset),
+            text: chunk.text
+        }));
+
+        return {
+            documentId: docId,
+            chunks,
+            pagination: {
+                page,
+                pageSize,
+                totalChunks: data.chunks.length,
+                totalPages: Math.ceil(data.chunks.length / pageSize)
+            }
+        };
+    }
+
+    /**
+     * Remove a document from the embedding store and the search indexes
+     * @param {string} docId - Document identifier
+     * @returns {Object} { embeddings, keywordIndex, annNodes } what was removed
+     */
+    static removeDocumentIndexes(docId) {
+        const embeddings = deleteEmbeddings(docId);
+        const keywordIndex = deleteKeywordIndex(docId);
+        const annNodes = removeDocumentFromAnnIndex(docId);
+        deleteEmbeddingCheckpoint(docId);
+        return { embeddings, keywordIndex, annNodes };
+    }
+
+    /**
+     * Delete the uploaded file of a document. Only files under storage/documents are
+     * deleted, and only when no other stored document was built from the same file.
+     * @param {Object} data - Stored document
+     * @returns {boolean} True if a file was deleted
+     */
+    static deleteSourceFile(data) {
+        const documentsDir = path.resolve(STORAGE_PATHS.DOCUMENTS);
+        if (!data.originalPath && !data.docName && !data.pdfId) {
+            return false;
+        }
+        const sourcePath = path.resolve(data.originalPath || path.join(documentsDir, data.docName || data.pdfId));
+
+        if (path.dirname(sourcePath) !== documentsDir || !fs.existsSync(sourcePath)) {
+            return false;
+        }
+
+        const sharedWith = listStoredEmbeddings().find(otherId => {
+            const other = loadEmbeddingsFromFile(otherId);
+            return other?.originalPath && path.resolve(other.originalPath) === sourcePath;
+        });
+        if (sharedWith) {
+            console.log(`⚠️ Keeping ${sourcePath}, still used by ${sharedWith}`);
+            return false;
+        }
+
+        fs.unlinkSync(sourcePath);
+        console.log(`🗑️ Deleted source file: ${sourcePath}`);
+        return true;
+    }
+
+    /**
+     * Delete a document: its embeddings, search indexes and uploaded file. The cached answers
+     * built from it are marked stale, so they are no longer served and can be recomputed.
+     * @param {string} docId - Document identifier
+     * @returns {Object|null} { documentId, docName, deleted: { embeddings, keywordIndex, annNodes, sourceFile }, staleAnswers }, or null if unknown
+     */
+    static deleteDocument(docId) {
+        const data = DocumentService.isStoredDocId(docId) ? loadEmbeddingsFromFile(docId) : null;
+        if (!data) {
+            return null;
+        }
+
+        console.log(`🗑️ Deleting document ${docId}...`);
+        // Before the document is removed, while its chunk links still exist
+        const staleAnswers = queryDB.markQueriesStale(docId, 'document deleted');
+        const removed = DocumentService.removeDocumentIndexes(docId);
+        const sourceFile = DocumentService.deleteSourceFile(data);
+
+        return {
+            documentId: docId,
+            docName: data.docName || data.pdfId,
+            deleted: { ...removed, sourceFile },
+            staleAnswers
+        };
+    }
+}
+
+export default DocumentService;
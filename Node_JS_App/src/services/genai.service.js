@@ -1,60 +1,90 @@
-import { GoogleGenAI } from "@google/genai";
-import {GEMINI_CONFIG} from '../config/app.config.js'; 
-
-// Initialize GoogleGenAI instance once
-const apiKey = GEMINI_CONFIG.GEMINI_API_KEY;
-let genAI = null;
-
-if (apiKey) {
-    genAI = new GoogleGenAI({ apiKey });
-} else {
-    console.warn("GEMINI_API_KEY not found in environment variables");
-}
+import { getLLMProvider, getEmbeddingProvider } from "../providers/provider.factory.js";
 
 /**
  * Generate embeddings for a single text chunk
+ * Uses the provider selected by EMBEDDING_PROVIDER
  * @param {string} chunk - Text to embed
- * @returns {Promise<Array>} - Embedding vector
+ * @returns {Promise<Array>} - Embedding vector ([{ values: number[] }])
  */
 export async function generateEmbeddingFromGenAI(chunk) {
-    if (!genAI) {
-        throw new Error("GoogleGenAI not initialized. Check GEMINI_API_KEY.");
+    try {
+        return await getEmbeddingProvider().embed(chunk);
+    } catch (error) {
+        console.error("Error generating embedding:", error);
+        throw error;
     }
+}
 
+/**
+ * Generate embeddings for several text chunks in one provider call
+ * @param {string[]} chunks - Texts to embed
+ * @returns {Promise<Array>} - One embedding ([{ values: number[] }]) per chunk, in order
+ */
+export async function generateEmbeddingsBatchFromGenAI(chunks) {
     try {
-        const result = await genAI.models.embedContent(
-            {
-                model: GEMINI_CONFIG.GEMINI_MODEL_EMBEDDING,
-                contents: chunk
-            }
-        );
-        return result.embeddings;
+        const embeddings = await getEmbeddingProvider().embedBatch(chunks);
+        if (embeddings.length !== chunks.length) {
+            throw new Error(`Expected ${chunks.length} embeddings, received ${embeddings.length}`);
+        }
+        return embeddings;
     } catch (error) {
-        console.error("Error generating embedding:", error);
+        console.error("Error generating batch embeddings:", error);
         throw error;
     }
 }
 
 /**
- * Generate content using Gemini model
+ * Generate content using the configured LLM
+ * Uses the provider selected by LLM_PROVIDER
  * @param {string} prompt - Input prompt
+ * @param {Object} options - Optional generation settings (model, temperature, maxOutputTokens)
  * @returns {Promise<string>} - Generated text
  */
-export async function generateAnswerFromLLM(prompt) {
-    if (!genAI) {
-        throw new Error("GoogleGenAI not initialized. Check GEMINI_API_KEY.");
+export async function generateAnswerFromLLM(prompt, options = {}) {
+    try {
+        return await getLLMProvider().generateText(prompt, options);
+    } catch (error) {
+        console.error("Error generating content:", error);
+        throw error;
     }
+}
 
+/**
+ * Stream content from the configured LLM as it is generated
+ * @param {string} prompt - Input prompt
+ * @param {Object} options - Optional generation settings (model, temperature, maxOutputTokens)
+ * @returns {AsyncGenerator<string>} - Text fragments in order
+ */
+export async function* streamAnswerFromLLM(prompt, options = {}) {
     try {
-        const response = await genAI.models.generateContent(
-            {
-                model: GEMINI_CONFIG.GEMINI_MODEL_FLASH_PREVIEW,
-                contents: prompt
-            }
-        );
-        return response.text;
+        yield* getLLMProvider().generateTextStream(prompt, options);
     } catch (error) {
-        console.error("Error generating content:", error);
+        console.error("Error streaming content:", error);
         throw error;
     }
 }
+
+/**
+ * Identify the active embedding model, e.g. 'gemini/gemini-embedding-001'.
+ * Vectors are only comparable when they come from the same model.
+ * @returns {string} Provider and embedding model name
+ */
+export function getEmbeddingModelKey() {
+    const embeddingProvider = getEmbeddingProvider();
+    return `${embeddingProvider.name}/${embeddingProvider.embeddingModel}`;
+}
+
+/**
+ * Describe the active providers and models
+ * @returns {Object} Provider names and default models
+ */
+export function getActiveModels() {
+    const llmProvider = getLLMProvider();
+    const embeddingProvider = getEmbeddingProvider();
+    return {
+        llmProvider: llmProvider.name,
+        chatModel: llmProvider.chatModel,
+        embeddingProvider: embeddingProvider.name,
+        embeddingModel: embeddingProvider.embeddingModel
+    };
+}
@@ -1,15 +1,82 @@
-import { generateAnswerFromLLM } from "./genai.service.js";
-import { findTopSimilarChunks } from "../vector-operations/cosine-similarity-search.js";
+import cosineSimilarity from "compute-cosine-similarity";
+import { generateAnswerFromLLM, streamAnswerFromLLM, getEmbeddingModelKey, getActiveModels } from "./genai.service.js";
+import { findTopSimilarChunks, formatChunksForLLM, selectDiverseChunks } from "../vector-operations/cosine-similarity-search.js";
+import { rerankChunks } from "../reranking/reranker.registry.js";
 import { getStoredPromptEmbedding, storePromptEmbedding } from "../store/prompt.cache.js";
 import { generateEmbeddingsForUserPrompt } from "../vector-operations/embedding.generator.js";
 import formatPromptForLLM from '../utils/util.js';
-import { FILE_PATHS } from '../config/path.js';
+import { toVectorBlob, fromVectorBlob } from '../utils/vector.js';
+import { EMBEDDING_CONFIG, CACHE_CONFIG, LOGGING_CONFIG, RERANK_CONFIG, RETRIEVAL_CONFIG, MMR_CONFIG, API_MESSAGES } from '../config/app.config.js';
 import { queryDB } from '../store/sqlite.db.js';
+import DocumentService from './document.service.js';
+
+/**
+ * Milliseconds elapsed since a performance.now() reading, rounded to 0.1 ms
+ * @param {number} start - performance.now() at the start of the stage
+ * @returns {number} Elapsed milliseconds
+ */
+function elapsedMs(start) {
+    return Math.round((performance.now() - start) * 10) / 10;
+}
 
 /**
  * RAG Service - Handles Retrieval Augmented Generation pipeline
  */
 class RAGService {
+    /**
+     * Check whether an answer may be shared through the answer cache: it was made from the whole
+     * corpus, outside a conversation, with the default retrieval and generation settings
+     * @param {Object} options - Options of processPrompt
+     * @returns {boolean} True when the answer can be served to later questions
+     */
+    static isSharedAnswer(options) {
+        const overrides = ['topK', 'minScore', 'reranker', 'mmrLambda', 'model', 'temperature', 'maxOutputTokens'];
+        return !(options.docIds && options.docIds.length > 0)
+            && !options.history
+            && overrides.every(name => options[name] === undefined);
+    }
+
+    /**
+     * Check whether saved answers may be served. They are not tied to a document subset,
+     * a conversation, or retrieval and generation settings chosen for one request.
+     * @param {Object} options - Options of processPrompt
+     * @returns {boolean} True when the answer cache can be used
+     */
+    static canUseCache(options) {
+        return !options.bypassCache && this.isSharedAnswer(options);
+    }
+
+    /**
+     * Pick the retrieval settings of a request
+     * @param {Object} options - Options of processPrompt
+     * @param {string[]|null} docIds - Documents to search (null for the whole corpus)
+     * @returns {Object} Options for findRelevantChunks
+     */
+    static getRetrievalOptions(options, docIds) {
+        return {
+            docIds,
+            topK: options.topK,
+            minScore: options.minScore,
+            reranker: options.reranker,
+            mmrLambda: options.mmrLambda
+        };
+    }
+
+    /**
+     * Pick the LLM settings of a request
+     * @param {Object} options - Options of processPrompt
+     * @returns {Object} { model, temperature, maxOutputTokens }, only the ones that were given
+     */
+    static getGenerationOptions(options) {
+        const generationOptions = {};
+        ['model', 'temperature', 'maxOutputTokens'].forEach(name => {
+            if (options[name] !== undefined) {
+                generationOptions[name] = options[name];
+            }
+        });
+        return generationOptions;
+    }
+
     /**
      * Check for cached answer in database
      * @param {string} userPrompt - User's question
@@ -21,64 +88,303 @@ class RAGService {
         
         if (cachedQuery) {
             console.log(`✅ Found cached answer for prompt (ID: ${cachedQuery.queryId})`);
-            return {
-                answer: cachedQuery.answer,
-                queryId: cachedQuery.queryId,
-                finalPrompt: null, // Not available for cached responses
-                metadata: {
-                    cached: true,
-                    originalCreatedAt: cachedQuery.createdAt,
-                    processingTime: new Date().toISOString()
-                }
-            };
+            return this.buildCachedResult(cachedQuery, { cacheMatch: 'exact' });
         }
         
         return null;
     }
 
+    /**
+     * Check for a saved answer to a near-duplicate prompt, by cosine similarity of the prompt
+     * embeddings (only answers embedded with the active embedding model are compared)
+     * @param {Array} promptEmbedding - Embedding vector for the prompt
+     * @returns {Object|null} Cached query result or null
+     */
+    static checkSemanticCache(promptEmbedding) {
+        if (!CACHE_CONFIG.SEMANTIC_CACHE_ENABLED) {
+            return null;
+        }
+
+        console.log('🔍 Checking semantic cache for a similar question...');
+        const bestMatch = this.findSimilarCachedQuery(promptEmbedding);
+        if (!bestMatch || bestMatch.similarity < CACHE_CONFIG.SEMANTIC_SIMILARITY_THRESHOLD) {
+            return null;
+        }
+
+        const cachedQuery = queryDB.getQueryById(bestMatch.queryId);
+        if (!cachedQuery) {
+            return null;
+        }
+
+        console.log(`✅ Found similar cached question (ID: ${cachedQuery.queryId}, similarity: ${bestMatch.similarity.toFixed(LOGGING_CONFIG.SIMILARITY_SCORE_PRECISION)})`);
+        return this.buildCachedResult(cachedQuery, {
+            cacheMatch: 'semantic',
+            matchedPrompt: cachedQuery.prompt,
+            similarity: bestMatch.similarity
+        });
+    }
+
+    /**
+     * Find the saved answer whose prompt embedding is most similar to the prompt
+     * (only answers embedded with the active embedding model are compared)
+     * @param {Array} promptEmbedding - Embedding vector for the prompt
+     * @returns {Object|null} { queryId, similarity } or null when no answer can be compared
+     */
+    static findSimilarCachedQuery(promptEmbedding) {
+        const promptValues = promptEmbedding[0].values;
+        let bestMatch = null;
+        queryDB.getQueryEmbeddings(getEmbeddingModelKey()).forEach(row => {
+            const values = fromVectorBlob(row.promptEmbedding)[0]?.values;
+            if (!values || values.length !== promptValues.length) return;
+            const similarity = cosineSimilarity(promptValues, values);
+            if (!bestMatch || similarity > bestMatch.similarity) {
+                bestMatch = { queryId: row.queryId, similarity };
+            }
+        });
+        return bestMatch;
+    }
+
+    /**
+     * Build the response for an answer served from the database
+     * @param {Object} cachedQuery - Saved query
+     * @param {Object} match - How it was matched ({ cacheMatch: 'exact' | 'semantic', matchedPrompt, similarity })
+     * @returns {Object} Cached query result
+     */
+    static buildCachedResult(cachedQuery, match) {
+        return {
+            answer: cachedQuery.answer,
+            queryId: cachedQuery.queryId,
+            sources: cachedQuery.sources,
+            finalPrompt: null, // Not available for cached responses
+            metadata: {
+                cached: true,
+                ...match,
+                matchedQueryId: cachedQuery.queryId,
+                originalCreatedAt: cachedQuery.createdAt,
+                processingTime: new Date().toISOString()
+            }
+        };
+    }
+
     /**
      * Get or generate embedding for user prompt with caching
      * @param {string} userPrompt - User's question
      * @returns {Promise<Array>} Prompt embedding vector
      */
     static async getPromptEmbedding(userPrompt) {
+        return (await this.embedPrompt(userPrompt)).promptEmbedding;
+    }
+
+    /**
+     * Get or generate embedding for user prompt with caching, telling where it came from
+     * @param {string} userPrompt - User's question
+     * @param {Object} [options] - Cache options
+     * @param {boolean} [options.readOnly] - Leave the prompt embedding cache unchanged (no store, no access update)
+     * @returns {Promise<Object>} { promptEmbedding, cached } - cached is true when no embedding call was made
+     */
+    static async embedPrompt(userPrompt, { readOnly = false } = {}) {
         console.log('🔄 Getting prompt embedding...');
-        let promptEmbedding = getStoredPromptEmbedding(userPrompt);
+        let promptEmbedding = getStoredPromptEmbedding(userPrompt, getEmbeddingModelKey(), { peek: readOnly });
+        const cached = Boolean(promptEmbedding);
         
         if (!promptEmbedding) {
             console.log('📝 Generating new embedding for prompt...');
             promptEmbedding = await generateEmbeddingsForUserPrompt(userPrompt);
             // Cache the new embedding for future use
-            storePromptEmbedding(userPrompt, promptEmbedding);
+            if (!readOnly) {
+                storePromptEmbedding(userPrompt, promptEmbedding);
+            }
         } else {
             console.log('✅ Using cached embedding for prompt');
         }
         
-        return promptEmbedding;
+        return { promptEmbedding, cached };
     }
 
     /**
-     * Perform vector similarity search to find relevant document chunks
+     * Perform hybrid (vector + keyword) search to find relevant document chunks, then rerank
+     * a wider candidate set (RERANK_CONFIG.CANDIDATES) and pick a diverse final context from
+     * the best of them (Maximal Marginal Relevance over MMR_CONFIG.CANDIDATES).
+     * No chunk is returned when none reaches the minimum cosine similarity.
+     * @param {string} userPrompt - User's question, used for keyword ranking and reranking
      * @param {Array} promptEmbedding - Embedding vector for the prompt
-     * @returns {Object} Similarity search results
+     * @param {Object} options - Search options
+     * @param {string[]|null} [options.docIds] - Optional document ids to limit the search to
+     * @param {number} [options.topK] - Number of chunks in the context (default: EMBEDDING_CONFIG.DEFAULT_TOP_CHUNKS)
+     * @param {string} [options.reranker] - Reranker name (default: RERANK_CONFIG.RERANKER)
+     * @param {number} [options.minScore] - Minimum cosine similarity of the best chunk (default: RETRIEVAL_CONFIG.MIN_SIMILARITY)
+     * @param {number} [options.mmrLambda] - Diversity trade-off, enables MMR even when MMR_ENABLED=false (default: MMR_CONFIG.LAMBDA)
+     * @returns {Promise<Object>} Search results ({ chunks, contextText, ranking, bestScore, minScore,
+     *   reranking: { reranker, candidates, fallbackFrom }, diversity: { lambda, candidates } or null,
+     *   timings: { searchMs, rerankMs, diversityMs } }), where ranking holds every candidate in reranked
+     *   order and bestScore is null when nothing was retrieved
      */
-    static findRelevantChunks(promptEmbedding) {
+    static async findRelevantChunks(userPrompt, promptEmbedding, { docIds = null, topK = EMBEDDING_CONFIG.DEFAULT_TOP_CHUNKS, reranker = RERANK_CONFIG.RERANKER, minScore = RETRIEVAL_CONFIG.MIN_SIMILARITY, mmrLambda } = {}) {
         console.log('🔍 Finding relevant document chunks...');
-        return findTopSimilarChunks(promptEmbedding, null, FILE_PATHS.TEST_PDF);
+        const useMmr = mmrLambda !== undefined || MMR_CONFIG.ENABLED;
+        const limit = Math.max(topK, reranker === 'none' ? 0 : RERANK_CONFIG.CANDIDATES, useMmr ? MMR_CONFIG.CANDIDATES : 0);
+        let stageStart = performance.now();
+        const candidates = findTopSimilarChunks(promptEmbedding, null, { docIds, queryText: userPrompt, limit }).chunks;
+        const timings = { searchMs: elapsedMs(stageStart) };
+
+        // Gate before reranking, so irrelevant questions cost no LLM call at all
+        const bestScore = candidates.length > 0 ? Math.max(...candidates.map(chunk => chunk.similarityScore)) : null;
+        if (bestScore === null || bestScore < minScore) {
+            console.log(`🚫 No chunk reaches the minimum similarity ${minScore} (best: ${bestScore === null ? 'none' : bestScore.toFixed(LOGGING_CONFIG.SIMILARITY_SCORE_PRECISION)})`);
+            const ranking = (await rerankChunks(userPrompt, candidates, { reranker: 'none', topK: candidates.length })).chunks;
+            return { chunks: [], contextText: '', ranking, bestScore, minScore, reranking: null, diversity: null, timings };
+        }
+
+        // Rerank every candidate, then pick the context among the best reranked ones
+        stageStart = performance.now();
+        const reranked = await rerankChunks(userPrompt, candidates, { reranker, topK: candidates.length });
+        const pool = reranked.chunks.slice(0, useMmr ? Math.max(MMR_CONFIG.CANDIDATES, topK) : topK);
+        timings.rerankMs = elapsedMs(stageStart);
+
+        stageStart = performance.now();
+        const lambda = mmrLambda ?? MMR_CONFIG.LAMBDA;
+        const chunks = useMmr ? selectDiverseChunks(pool, { limit: topK, lambda }) : pool;
+        timings.diversityMs = elapsedMs(stageStart);
+
+        return {
+            chunks,
+            contextText: formatChunksForLLM(chunks),
+            ranking: reranked.chunks,
+            bestScore,
+            minScore,
+            reranking: {
+                reranker: reranked.reranker,
+                candidates: candidates.length,
+                fallbackFrom: reranked.fallbackFrom
+            },
+            diversity: useMmr ? { lambda, candidates: pool.length } : null,
+            timings
+        };
+    }
+
+    /**
+     * Build the citation list for retrieved chunks
+     * Source `id` n matches the [n] marker the chunk carries in the LLM context.
+     * `score`, `keywordScore` and `fusedScore` come from the first pass, `retrievalRank` is the
+     * position there, and `rerankScore` is the score that set the final order (null without reranker).
+     * @param {Array} chunks - Scored chunks from the similarity search
+     * @returns {Array} Array of { id, docId, docName, chunkIndex, page, startOffset, endOffset, score, keywordScore, fusedScore, retrievalRank, rerankScore, excerpt }
+     */
+    static buildSources(chunks) {
+        return chunks.map((chunk, index) => ({
+            id: index + 1,
+            docId: chunk.docId || null,
+            docName: chunk.docName || null,
+            chunkIndex: chunk.chunkIndex,
+            page: chunk.page ?? null,
+            startOffset: chunk.startOffset ?? null,
+            endOffset: chunk.endOffset ?? null,
+            score: chunk.similarityScore,
+            keywordScore: chunk.keywordScore ?? null,
+            fusedScore: chunk.fusedScore ?? null,
+            retrievalRank: chunk.retrievalRank ?? null,
+            rerankScore: chunk.rerankScore ?? null,
+            excerpt: chunk.text.length > EMBEDDING_CONFIG.FULL_TEXT_PREVIEW_LENGTH
+                ? `${chunk.text.substring(0, EMBEDDING_CONFIG.FULL_TEXT_PREVIEW_LENGTH)}...`
+                : chunk.text
+        }));
+    }
+
+    /**
+     * Get the distinct source documents of the cited chunks
+     * @param {Array} sources - Sources built by buildSources
+     * @returns {Array} Array of { docId, docName }
+     */
+    static getSourceDocuments(sources) {
+        const documents = new Map();
+        sources.forEach(source => {
+            if (source.docId && !documents.has(source.docId)) {
+                documents.set(source.docId, { docId: source.docId, docName: source.docName });
+            }
+        });
+        return [...documents.values()];
+    }
+
+    /**
+     * Record a question answered "not found", so content gaps can be reviewed
+     * @param {string} userPrompt - User's question
+     * @param {string} reason - 'no_context', 'below_threshold' or 'llm_not_found'
+     * @param {Object} similarityResult - Search results ({ bestScore, minScore })
+     * @param {string[]|null} docIds - Documents the question was limited to
+     * @param {string|null} queryId - Saved answer, when the LLM was called
+     */
+    static recordUnansweredQuestion(userPrompt, reason, similarityResult, docIds = null, queryId = null) {
+        queryDB.insertUnansweredQuestion({
+            prompt: userPrompt,
+            reason,
+            bestScore: similarityResult.bestScore,
+            minScore: similarityResult.minScore,
+            docIds: docIds || [],
+            queryId
+        });
+    }
+
+    /**
+     * Answer "not found" without calling the LLM, when no chunk is relevant enough.
+     * The answer is not saved, so the question is answered again once documents are added.
+     * @param {string} userPrompt - User's question
+     * @param {Object} similarityResult - Search results without chunks
+     * @param {string[]|null} docIds - Documents the question was limited to
+     * @returns {Object} RAG response with the "not found" answer and a null queryId
+     */
+    static buildNotFoundResult(userPrompt, similarityResult, docIds = null) {
+        const reason = this.getNotFoundReason(similarityResult);
+        this.recordUnansweredQuestion(userPrompt, reason, similarityResult, docIds);
+
+        return {
+            answer: API_MESSAGES.DOCUMENT_NOT_FOUND,
+            queryId: null,
+            sources: [],
+            finalPrompt: null,
+            metadata: {
+                cached: false,
+                notFound: true,
+                notFoundReason: reason,
+                bestScore: similarityResult.bestScore,
+                minScore: similarityResult.minScore,
+                documents: [],
+                processingTime: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Why retrieval found no chunk for the context
+     * @param {Object} similarityResult - Search results without chunks
+     * @returns {string} 'no_context' (nothing retrieved) or 'below_threshold'
+     */
+    static getNotFoundReason(similarityResult) {
+        return similarityResult.bestScore === null ? 'no_context' : 'below_threshold';
+    }
+
+    /**
+     * Check whether the LLM answered that the context does not hold the answer
+     * @param {string} answer - Generated answer
+     * @returns {boolean} True for a "not found" answer
+     */
+    static isNotFoundAnswer(answer) {
+        return answer.includes(API_MESSAGES.DOCUMENT_NOT_FOUND);
     }
 
     /**
      * Generate final answer using LLM with retrieved context
      * @param {string} userPrompt - Original user question
-     * @param {Object} similarityResult - Retrieved document chunks
+     * @param {Object} similarityResult - Retrieved document chunks ({ chunks, contextText })
+     * @param {string} [history] - Earlier conversation turns to include in the prompt
+     * @param {Object} [generationOptions] - LLM settings ({ model, temperature, maxOutputTokens })
      * @returns {Promise<Object>} LLM response with answer and metadata
      */
-    static async generateContextualAnswer(userPrompt, similarityResult) {
+    static async generateContextualAnswer(userPrompt, similarityResult, history = '', generationOptions = {}) {
         // Format prompt for LLM with context
-        const finalPrompt = formatPromptForLLM(userPrompt, similarityResult);
+        const finalPrompt = formatPromptForLLM(userPrompt, similarityResult.contextText, history);
         
         // Get final answer from LLM
-        const llmAnswer = await generateAnswerFromLLM(finalPrompt);
+        const llmAnswer = await generateAnswerFromLLM(finalPrompt, generationOptions);
         console.log('✅ LLM Response received', llmAnswer);
         
         return {
@@ -91,10 +397,21 @@ class RAGService {
      * Save query and answer to database
      * @param {string} userPrompt - User's question
      * @param {string} answer - Generated answer
+     * @param {Array} sources - Cited sources of the answer
+     * @param {Array|null} promptEmbedding - Prompt embedding, kept for the semantic answer cache
+     * @param {boolean} [cacheable] - False saves the answer without making it available to the answer cache
      * @returns {Object} Saved query information
      */
-    static saveQueryToDatabase(userPrompt, answer) {
-        const savedQuery = queryDB.insertQuery(userPrompt, answer);
+    static saveQueryToDatabase(userPrompt, answer, sources = [], promptEmbedding = null, cacheable = true) {
+        // Record the document versions so the answer is invalidated when a document changes
+        const documents = DocumentService.getDocumentVersions(this.getSourceDocuments(sources).map(document => document.docId));
+        const embedding = cacheable ? toVectorBlob(promptEmbedding) : null;
+        const savedQuery = queryDB.insertQuery(userPrompt, answer, sources, {
+            promptEmbedding: embedding,
+            embeddingModel: embedding ? getEmbeddingModelKey() : null,
+            documents,
+            cacheable
+        });
         console.log(`✅ Query saved with ID: ${savedQuery.queryId}`);
         return savedQuery;
     }
@@ -102,36 +419,72 @@ class RAGService {
     /**
      * Process user prompt through complete RAG pipeline
      * @param {string} userPrompt - User's question
+     * @param {Object} options - Optional settings
+     * @param {string[]} [options.docIds] - Limit retrieval to these documents (default: whole corpus)
+     * @param {string} [options.history] - Earlier conversation turns for the LLM prompt (see ConversationService)
+     * @param {boolean} [options.bypassCache] - Always generate a new answer
+     * @param {number} [options.topK] - Number of chunks in the context (default: EMBEDDING_CONFIG.DEFAULT_TOP_CHUNKS)
+     * @param {number} [options.minScore] - Minimum cosine similarity of the best chunk (default: RETRIEVAL_CONFIG.MIN_SIMILARITY)
+     * @param {string} [options.reranker] - Reranker for this question (default: RERANK_CONFIG.RERANKER)
+     * @param {number} [options.mmrLambda] - Diversity trade-off for this question (default: MMR_CONFIG.LAMBDA)
+     * @param {string} [options.model] - Chat model instead of the provider default
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxOutputTokens] - Maximum tokens in the answer
      * @returns {Promise<Object>} Complete RAG response with answer, chunks, etc.
      */
-    static async processPrompt(userPrompt) {
+    static async processPrompt(userPrompt, options = {}) {
+        const docIds = options.docIds && options.docIds.length > 0 ? options.docIds : null;
+        const history = options.history || '';
+        const useCache = this.canUseCache(options);
+        const generationOptions = this.getGenerationOptions(options);
+
         try {
             // Step 1: Check database cache first
-            const cachedResult = this.checkDatabaseCache(userPrompt);
+            const cachedResult = useCache ? this.checkDatabaseCache(userPrompt) : null;
             if (cachedResult) {
                 return cachedResult;
             }
 
             console.log('💭 No cached answer found, processing new query...');
             
-            // Step 2: Get embedding for user prompt
+            // Step 2: Get embedding for user prompt, and look for an answer to a near-duplicate question
             const promptEmbedding = await this.getPromptEmbedding(userPrompt);
+            const similarResult = useCache ? this.checkSemanticCache(promptEmbedding) : null;
+            if (similarResult) {
+                return similarResult;
+            }
 
-            // Step 3: Find relevant document chunks
-            const similarityResult = this.findRelevantChunks(promptEmbedding);
+            // Step 3: Find relevant document chunks and rerank them, or answer "not found" when none is relevant
+            const similarityResult = await this.findRelevantChunks(userPrompt, promptEmbedding, this.getRetrievalOptions(options, docIds));
+            if (similarityResult.chunks.length === 0) {
+                return this.buildNotFoundResult(userPrompt, similarityResult, docIds);
+            }
+            const sources = this.buildSources(similarityResult.chunks);
 
             // Step 4: Generate answer using LLM with context
-            const { answer, finalPrompt } = await this.generateContextualAnswer(userPrompt, similarityResult);
+            const { answer, finalPrompt } = await this.generateContextualAnswer(userPrompt, similarityResult, history, generationOptions);
+            const notFound = this.isNotFoundAnswer(answer);
 
             // Step 5: Save to database
-            const savedQuery = this.saveQueryToDatabase(userPrompt, answer);
+            const savedQuery = this.saveQueryToDatabase(userPrompt, answer, sources, promptEmbedding, this.isSharedAnswer(options));
+            if (notFound) {
+                this.recordUnansweredQuestion(userPrompt, 'llm_not_found', similarityResult, docIds, savedQuery.queryId);
+            }
 
             return {
                 answer: answer,
                 queryId: savedQuery.queryId,
+                sources: sources,
                 finalPrompt: finalPrompt,
                 metadata: {
                     cached: false,
+                    notFound: notFound,
+                    ...(notFound && { notFoundReason: 'llm_not_found' }),
+                    bestScore: similarityResult.bestScore,
+                    documents: this.getSourceDocuments(sources),
+                    reranking: similarityResult.reranking,
+                    diversity: similarityResult.diversity,
+                    model: generationOptions.model || getActiveModels().chatModel,
                     processingTime: new Date().toISOString()
                 }
             };
@@ -141,6 +494,238 @@ class RAGService {
         }
     }
 
+    /**
+     * Process user prompt through the RAG pipeline, streaming the answer as it is generated.
+     * Yields events in order:
+     * - { type: 'metadata', data } once retrieval is done (or for a cached answer)
+     * - { type: 'token', data } for each answer fragment
+     * - { type: 'done', data } with the saved queryId and full answer
+     * The answer is only saved when the stream is consumed to the end.
+     * @param {string} userPrompt - User's question
+     * @param {Object} options - Same options as processPrompt
+     * @returns {AsyncGenerator<Object>} Stream events
+     */
+    static async *processPromptStream(userPrompt, options = {}) {
+        const docIds = options.docIds && options.docIds.length > 0 ? options.docIds : null;
+        const history = options.history || '';
+        const useCache = this.canUseCache(options);
+
+        try {
+            // Step 1: Check database cache first (exact prompt, then a near-duplicate question once
+            // the prompt is embedded); a cached answer is sent as a single token
+            let cachedResult = useCache ? this.checkDatabaseCache(userPrompt) : null;
+            const promptEmbedding = cachedResult ? null : await this.getPromptEmbedding(userPrompt);
+            if (!cachedResult && useCache) {
+                cachedResult = this.checkSemanticCache(promptEmbedding);
+            }
+            if (cachedResult) {
+                yield { type: 'metadata', data: { ...cachedResult.metadata, sources: cachedResult.sources } };
+                yield { type: 'token', data: cachedResult.answer };
+                yield { type: 'done', data: { queryId: cachedResult.queryId, answer: cachedResult.answer, sources: cachedResult.sources } };
+                return;
+            }
+
+            console.log('💭 No cached answer found, streaming new query...');
+
+            // Step 2 & 3: Retrieve and rerank context for the embedded prompt; "not found" is sent as a single token
+            const similarityResult = await this.findRelevantChunks(userPrompt, promptEmbedding, this.getRetrievalOptions(options, docIds));
+            if (similarityResult.chunks.length === 0) {
+                const notFoundResult = this.buildNotFoundResult(userPrompt, similarityResult, docIds);
+                yield { type: 'metadata', data: { ...notFoundResult.metadata, sources: notFoundResult.sources } };
+                yield { type: 'token', data: notFoundResult.answer };
+                yield { type: 'done', data: { queryId: null, answer: notFoundResult.answer, sources: notFoundResult.sources } };
+                return;
+            }
+            const sources = this.buildSources(similarityResult.chunks);
+            const documents = this.getSourceDocuments(sources);
+
+            yield { type: 'metadata', data: { cached: false, bestScore: similarityResult.bestScore, documents: documents, reranking: similarityResult.reranking, diversity: similarityResult.diversity, sources: sources } };
+
+            // Step 4: Stream the answer from the LLM
+            const finalPrompt = formatPromptForLLM(userPrompt, similarityResult.contextText, history);
+            let answer = '';
+            for await (const token of streamAnswerFromLLM(finalPrompt, this.getGenerationOptions(options))) {
+                answer += token;
+                yield { type: 'token', data: token };
+            }
+            console.log('✅ LLM stream completed');
+
+            // Step 5: Save the full answer to database
+            const savedQuery = this.saveQueryToDatabase(userPrompt, answer, sources, promptEmbedding, this.isSharedAnswer(options));
+            const notFound = this.isNotFoundAnswer(answer);
+            if (notFound) {
+                this.recordUnansweredQuestion(userPrompt, 'llm_not_found', similarityResult, docIds, savedQuery.queryId);
+            }
+
+            yield {
+                type: 'done',
+                data: {
+                    queryId: savedQuery.queryId,
+                    answer: answer,
+                    sources: sources,
+                    metadata: {
+                        cached: false,
+                        notFound: notFound,
+                        documents: documents,
+                        model: options.model || getActiveModels().chatModel,
+                        processingTime: new Date().toISOString()
+                    }
+                }
+            };
+        } catch (error) {
+            console.error('❌ RAG Pipeline Error:', error);
+            throw new Error(`RAG processing failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Explain how a question is answered: the cache decisions, the scored ranking of every candidate
+     * chunk, the chosen context, the exact prompt sent to the LLM and the time spent in each stage.
+     * The caches are looked up but never served or changed, and nothing is saved or recorded as unanswered.
+     * @param {string} userPrompt - User's question
+     * @param {Object} options - Same options as processPrompt, plus:
+     * @param {boolean} [options.generate] - Call the LLM for the answer (default: true); false stops at the prompt
+     * @returns {Promise<Object>} { answer, generated, finalPrompt, context, ranking, retrieval, cache, timings }
+     */
+    static async explainPrompt(userPrompt, options = {}) {
+        const { generate = true, ...queryOptions } = options;
+        const docIds = queryOptions.docIds && queryOptions.docIds.length > 0 ? queryOptions.docIds : null;
+        const useCache = this.canUseCache(queryOptions);
+        const generationOptions = this.getGenerationOptions(queryOptions);
+        const startedAt = performance.now();
+        const timings = {};
+
+        try {
+            // Step 1: Cache lookups, done even when this request would skip the cache
+            let stageStart = performance.now();
+            const exactMatch = queryDB.findQueryByPrompt(userPrompt);
+            timings.exactCacheMs = elapsedMs(stageStart);
+
+            stageStart = performance.now();
+            const { promptEmbedding, cached: embeddingCached } = await this.embedPrompt(userPrompt, { readOnly: true });
+            timings.embeddingMs = elapsedMs(stageStart);
+
+            stageStart = performance.now();
+            const similarMatch = this.findSimilarCachedQuery(promptEmbedding);
+            const similarQuery = similarMatch ? queryDB.getQueryById(similarMatch.queryId) : null;
+            timings.semanticCacheMs = elapsedMs(stageStart);
+
+            const threshold = CACHE_CONFIG.SEMANTIC_SIMILARITY_THRESHOLD;
+            const semanticHit = CACHE_CONFIG.SEMANTIC_CACHE_ENABLED && similarQuery !== null && similarMatch.similarity >= threshold;
+            const cache = {
+                enabled: useCache,
+                promptEmbedding: embeddingCached ? 'cached' : 'generated',
+                exactMatch: exactMatch ? { queryId: exactMatch.queryId, createdAt: exactMatch.createdAt } : null,
+                semanticMatch: similarQuery ? {
+                    queryId: similarQuery.queryId,
+                    prompt: similarQuery.prompt,
+                    similarity: similarMatch.similarity,
+                    threshold,
+                    enabled: CACHE_CONFIG.SEMANTIC_CACHE_ENABLED,
+                    hit: semanticHit
+                } : null,
+                // What /query would have answered from ('exact', 'semantic' or null for a new answer)
+                wouldServe: !useCache ? null : exactMatch ? 'exact' : semanticHit ? 'semantic' : null
+            };
+
+            // Step 2: Retrieval, reranking and diversity
+            const similarityResult = await this.findRelevantChunks(userPrompt, promptEmbedding, this.getRetrievalOptions(queryOptions, docIds));
+            Object.assign(timings, similarityResult.timings);
+            const notFound = similarityResult.chunks.length === 0;
+
+            // Step 3: The prompt, and the answer when asked for
+            const finalPrompt = notFound ? null : formatPromptForLLM(userPrompt, similarityResult.contextText, queryOptions.history || '');
+            let answer = notFound ? API_MESSAGES.DOCUMENT_NOT_FOUND : null;
+            if (!notFound && generate) {
+                stageStart = performance.now();
+                answer = await generateAnswerFromLLM(finalPrompt, generationOptions);
+                timings.generationMs = elapsedMs(stageStart);
+            }
+            timings.totalMs = elapsedMs(startedAt);
+
+            // Diversity selection copies the chunks, so the context is matched by document and chunk index
+            const chunkKey = chunk => `${chunk.docId}:${chunk.chunkIndex}`;
+            const selectedChunks = new Map(similarityResult.chunks.map((chunk, index) => [chunkKey(chunk), { contextId: index + 1, mmrScore: chunk.mmrScore ?? null }]));
+            const notFoundReason = notFound
+                ? this.getNotFoundReason(similarityResult)
+                : answer !== null && this.isNotFoundAnswer(answer) ? 'llm_not_found' : null;
+
+            return {
+                answer: answer,
+                generated: !notFound && generate,
+                finalPrompt: finalPrompt,
+                context: this.buildSources(similarityResult.chunks).map((source, index) => ({
+                    ...source,
+                    mmrScore: similarityResult.chunks[index].mmrScore ?? null,
+                    text: similarityResult.chunks[index].text
+                })),
+                ranking: this.buildSources(similarityResult.ranking).map((source, index) => {
+                    const selected = selectedChunks.get(chunkKey(similarityResult.ranking[index]));
+                    const { id, ...entry } = source;
+                    return {
+                        rank: id,
+                        ...entry,
+                        mmrScore: selected?.mmrScore ?? null,
+                        selected: Boolean(selected),
+                        contextId: selected?.contextId ?? null
+                    };
+                }),
+                retrieval: {
+                    topK: queryOptions.topK ?? EMBEDDING_CONFIG.DEFAULT_TOP_CHUNKS,
+                    bestScore: similarityResult.bestScore,
+                    minScore: similarityResult.minScore,
+                    notFound: notFoundReason !== null,
+                    notFoundReason: notFoundReason,
+                    reranking: similarityResult.reranking,
+                    diversity: similarityResult.diversity
+                },
+                cache: cache,
+                model: generationOptions.model || getActiveModels().chatModel,
+                timings: timings
+            };
+        } catch (error) {
+            console.error('❌ RAG Explain Error:', error);
+            throw new Error(`RAG explain failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Answer stale questions again and replace their cached answers. A question answered "not found"
+     * without an LLM call saves no new answer, so its stale answer is kept and reported as unanswered.
+     * @param {Object} options - Optional settings
+     * @param {string[]} [options.queryIds] - Stale answers to recompute (default: the most recent ones)
+     * @param {number} [options.limit] - Maximum number of answers to recompute
+     * @returns {Promise<Object>} { recomputed: [{ queryId, newQueryId, prompt, answer }], unanswered: [{ queryId, prompt, reason }],
+     *   failed: [{ queryId, prompt, error }], remaining }
+     */
+    static async recomputeStaleAnswers({ queryIds = null, limit = CACHE_CONFIG.STALE_RECOMPUTE_LIMIT } = {}) {
+        const staleQueries = queryDB.getStaleQueries()
+            .filter(query => !queryIds || queryIds.includes(query.queryId))
+            .slice(0, limit);
+        const recomputed = [];
+        const unanswered = [];
+        const failed = [];
+
+        // One at a time: each answer is a full RAG pipeline run
+        for (const staleQuery of staleQueries) {
+            try {
+                const result = await this.processPrompt(staleQuery.prompt, { bypassCache: true });
+                if (!result.queryId) {
+                    console.log(`⚠️ Keeping stale answer ${staleQuery.queryId}: ${result.metadata.notFoundReason}`);
+                    unanswered.push({ queryId: staleQuery.queryId, prompt: staleQuery.prompt, reason: result.metadata.notFoundReason });
+                    continue;
+                }
+                queryDB.deleteQuery(staleQuery.queryId);
+                recomputed.push({ queryId: staleQuery.queryId, newQueryId: result.queryId, prompt: staleQuery.prompt, answer: result.answer });
+            } catch (error) {
+                console.error(`❌ Failed to recompute answer ${staleQuery.queryId}:`, error.message);
+                failed.push({ queryId: staleQuery.queryId, prompt: staleQuery.prompt, error: error.message });
+            }
+        }
+
+        return { recomputed, unanswered, failed, remaining: queryDB.getStaleQueries().length };
+    }
+
     /**
      * Get RAG pipeline statistics
      * @returns {Object} Pipeline statistics
@@ -0,0 +1,99 @@
+import fs from "fs";
+import path from "path";
+import { STORAGE_PATHS } from '../config/path.js';
+
+// ANN index directory path
+const INDEX_DIR = STORAGE_PATHS.ANN_INDEX;
+
+/**
+ * Ensure ANN index directory exists
+ */
+function ensureIndexDirectory() {
+    if (!fs.existsSync(INDEX_DIR)) {
+        fs.mkdirSync(INDEX_DIR, { recursive: true });
+        console.log("Created ANN index directory:", INDEX_DIR);
+    }
+}
+
+/**
+ * Get the graph and vector file paths of the index for one vector size
+ * @param {number} dimensions - Vector length
+ * @returns {Object} { graphPath, vectorsPath }
+ */
+function getIndexPaths(dimensions) {
+    return {
+        graphPath: path.join(INDEX_DIR, `hnsw-${dimensions}.json`),
+        vectorsPath: path.join(INDEX_DIR, `hnsw-${dimensions}.f32`)
+    };
+}
+
+/**
+ * Write a file through a temporary file, so a crash never leaves a half written index
+ * @param {string} filePath - Destination
+ * @param {string|Buffer} data - Content
+ */
+function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Save a serialised HNSW index
+ * @param {Object} serialized - { graph, vectors } from HNSWIndex.serialize()
+ */
+export function saveAnnIndex({ graph, vectors }) {
+    try {
+        ensureIndexDirectory();
+        const { graphPath, vectorsPath } = getIndexPaths(graph.dimensions);
+        writeFileAtomic(vectorsPath, Buffer.from(vectors.buffer, vectors.byteOffset, vectors.byteLength));
+        writeFileAtomic(graphPath, JSON.stringify(graph));
+        console.log(`ANN index saved: ${graph.nodes.length} node(s), ${graph.dimensions} dimensions`);
+    } catch (error) {
+        console.error("Error saving ANN index:", error);
+        throw error;
+    }
+}
+
+/**
+ * Load a serialised HNSW index
+ * @param {number} dimensions - Vector length
+ * @returns {Object|null} { graph, vectors } or null if there is no valid index
+ */
+export function loadAnnIndex(dimensions) {
+    try {
+        const { graphPath, vectorsPath } = getIndexPaths(dimensions);
+        if (!fs.existsSync(graphPath) || !fs.existsSync(vectorsPath)) {
+            return null;
+        }
+
+        const graph = JSON.parse(fs.readFileSync(graphPath, 'utf8'));
+        const buffer = fs.readFileSync(vectorsPath);
+        if (buffer.length !== graph.nodes.length * graph.dimensions * Float32Array.BYTES_PER_ELEMENT) {
+            console.warn(`⚠️ ANN index files for ${dimensions} dimensions do not match, ignoring them`);
+            return null;
+        }
+
+        // Copy into a fresh ArrayBuffer: Float32Array needs a 4-byte aligned offset
+        const vectors = new Float32Array(buffer.length / Float32Array.BYTES_PER_ELEMENT);
+        new Uint8Array(vectors.buffer).set(buffer);
+        return { graph, vectors };
+    } catch (error) {
+        console.error("Error loading ANN index:", error);
+        return null;
+    }
+}
+
+/**
+ * List the vector sizes that have a saved index
+ * @returns {number[]} Dimensions
+ */
+export function listAnnIndexDimensions() {
+    if (!fs.existsSync(INDEX_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(INDEX_DIR)
+        .map(file => /^hnsw-(\d+)\.json$/.exec(file))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+}
@@ -0,0 +1,20 @@
+import * as fileStore from './embedding.store.js';
+import * as sqliteStore from './sqlite-embedding.store.js';
+import { STORAGE_CONFIG } from '../config/app.config.js';
+
+/**
+ * Document and embedding store selected by EMBEDDING_STORE ('file' or 'sqlite').
+ * Both stores expose the same functions and document shape, so callers import them from here.
+ */
+const activeStore = STORAGE_CONFIG.EMBEDDING_STORE === 'sqlite' ? sqliteStore : fileStore;
+
+export const {
+    saveEmbeddingsToFile,
+    loadExistingEmbeddings,
+    loadEmbeddingsFromFile,
+    embeddingsExist,
+    listStoredEmbeddings,
+    deleteEmbeddings
+} = activeStore;
+
+export { generatePdfId, hashFileContent } from './embedding.store.js';
@@ -0,0 +1,102 @@
+import fs from "fs";
+import path from "path";
+import { STORAGE_PATHS } from '../config/path.js';
+
+// Checkpoint directory path
+const CHECKPOINT_DIR = STORAGE_PATHS.CHECKPOINTS;
+
+/**
+ * Ensure checkpoint directory exists
+ */
+function ensureCheckpointDirectory() {
+    if (!fs.existsSync(CHECKPOINT_DIR)) {
+        fs.mkdirSync(CHECKPOINT_DIR, { recursive: true });
+        console.log("Created checkpoint directory:", CHECKPOINT_DIR);
+    }
+}
+
+/**
+ * Get the checkpoint file path of a document
+ * @param {string} docId - Document identifier
+ * @returns {string} File path
+ */
+function getCheckpointPath(docId) {
+    return path.join(CHECKPOINT_DIR, `${docId}.jsonl`);
+}
+
+/**
+ * Load the embeddings finished by an interrupted ingest.
+ * The checkpoint is a JSON Lines file: a header { docId, embeddingProvider, embeddingModel }
+ * followed by one { hash, values } line per embedded chunk. A checkpoint written with another
+ * embedding model is discarded, and a line cut short by a crash is ignored.
+ * @param {string} docId - Document identifier
+ * @param {Object} models - { embeddingProvider, embeddingModel } of the current ingest
+ * @returns {Map<string, number[]>} Vectors by chunk text hash (empty when there is nothing to resume)
+ */
+export function loadEmbeddingCheckpoint(docId, { embeddingProvider, embeddingModel }) {
+    const completed = new Map();
+    const checkpointPath = getCheckpointPath(docId);
+
+    if (!fs.existsSync(checkpointPath)) {
+        return completed;
+    }
+
+    try {
+        const [headerLine, ...lines] = fs.readFileSync(checkpointPath, 'utf8').split('\n');
+        const header = JSON.parse(headerLine);
+        if (header.embeddingProvider !== embeddingProvider || header.embeddingModel !== embeddingModel) {
+            console.log(`⚠️ Discarding checkpoint of ${docId} made with ${header.embeddingProvider}/${header.embeddingModel}`);
+            deleteEmbeddingCheckpoint(docId);
+            return completed;
+        }
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const { hash, values } = JSON.parse(line);
+                completed.set(hash, values);
+            } catch {
+                // Partially written last line
+            }
+        }
+        return completed;
+    } catch (error) {
+        console.error("Error loading embedding checkpoint:", error);
+        return completed;
+    }
+}
+
+/**
+ * Start a checkpoint for a document unless one already exists
+ * @param {string} docId - Document identifier
+ * @param {Object} models - { embeddingProvider, embeddingModel } of the current ingest
+ */
+export function startEmbeddingCheckpoint(docId, { embeddingProvider, embeddingModel }) {
+    ensureCheckpointDirectory();
+    const checkpointPath = getCheckpointPath(docId);
+    if (!fs.existsSync(checkpointPath)) {
+        const header = { docId, embeddingProvider, embeddingModel, createdAt: new Date().toISOString() };
+        fs.writeFileSync(checkpointPath, `${JSON.stringify(header)}\n`);
+    } else if (!fs.readFileSync(checkpointPath, 'utf8').endsWith('\n')) {
+        // Terminate a line cut short by a crash so new lines stay parseable
+        fs.appendFileSync(checkpointPath, '\n');
+    }
+}
+
+/**
+ * Record embedded chunks in the checkpoint
+ * @param {string} docId - Document identifier
+ * @param {Array} entries - Array of { hash, values }
+ */
+export function appendEmbeddingCheckpoint(docId, entries) {
+    const lines = entries.map(entry => JSON.stringify({ hash: entry.hash, values: entry.values })).join('\n');
+    fs.appendFileSync(getCheckpointPath(docId), `${lines}\n`);
+}
+
+/**
+ * Delete the checkpoint of a document (after its embeddings are saved)
+ * @param {string} docId - Document identifier
+ */
+export function deleteEmbeddingCheckpoint(docId) {
+    fs.rmSync(getCheckpointPath(docId), { force: true });
+}
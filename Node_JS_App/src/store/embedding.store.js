@@ -2,26 +2,39 @@ import fs from "fs";
 import path from "path";
 import crypto from "crypto";
 import { STORAGE_PATHS } from '../config/path.js';
+import { hashText } from '../utils/util.js';
 
 // Embeddings directory path
 const DATA_DIR = STORAGE_PATHS.EMBEDDINGS;
 
+// Storage format: <docId>.json manifest (chunks without vectors) + <docId>.f32 packed vectors.
+// Manifests without a `format` field are legacy files with the vectors inline in JSON.
+export const VECTOR_FILE_FORMAT = 'f32-v1';
+
+// Loaded documents by id, reused while the manifest file is unchanged
+const documentCache = new Map();
+
 /**
- * Generate unique identifier for a PDF file based on name and size
- * @param {string} filePath - Path to the PDF file
+ * Hash the content of a file
+ * @param {string} filePath - Path to the file
+ * @returns {string} - Hex SHA-256 digest of the file bytes
+ */
+export function hashFileContent(filePath) {
+    return crypto.createHash('sha256')
+        .update(fs.readFileSync(filePath))
+        .digest('hex');
+}
+
+/**
+ * Generate unique identifier for a document based on its name and content
+ * Any edit to the file gives a new identifier; the previous version is found by name
+ * @param {string} filePath - Path to the document
  * @returns {string} - Unique identifier
  */
 export function generatePdfId(filePath) {
     try {
         const fileName = path.basename(filePath);
-        const stats = fs.statSync(filePath);
-        const fileSize = stats.size;
-
-        // Create hash from filename and size for uniqueness
-        const hash = crypto.createHash('md5')
-            .update(`${fileName}-${fileSize}`)
-            .digest('hex')
-            .substring(0, 8);
+        const hash = hashFileContent(filePath).substring(0, 8);
 
         return `${path.parse(fileName).name}_${hash}`;
     } catch (error) {
@@ -41,33 +54,130 @@ function ensureDataDirectory() {
 }
 
 /**
- * Save chunks and embeddings to JSON file
+ * Get the manifest and vector file paths of a document
+ * @param {string} pdfId - Document identifier
+ * @returns {Object} { manifestPath, vectorsPath }
+ */
+function getDocumentPaths(pdfId) {
+    return {
+        manifestPath: path.join(DATA_DIR, `${pdfId}.json`),
+        vectorsPath: path.join(DATA_DIR, `${pdfId}.f32`)
+    };
+}
+
+/**
+ * Write a file through a temporary file, so readers never see a half written file
+ * @param {string} filePath - Destination
+ * @param {string|Buffer} data - Content
+ */
+function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Write a document as a JSON manifest plus a packed Float32 vector file
+ * @param {string} pdfId - Document identifier
+ * @param {Object} data - Document fields, with chunks [{ text, page, startOffset, endOffset, embedding }]
+ *   where embedding is [{ values }] (or empty for chunks without a vector)
+ * @returns {string} Manifest path
+ */
+export function writeEmbeddingDocument(pdfId, data) {
+    ensureDataDirectory();
+    const { manifestPath, vectorsPath } = getDocumentPaths(pdfId);
+
+    const dimensions = data.chunks.find(chunk => chunk.embedding?.[0]?.values?.length)?.embedding[0].values.length || 0;
+    const hasVector = chunk => dimensions > 0 && chunk.embedding?.[0]?.values?.length === dimensions;
+    const vectors = new Float32Array(data.chunks.filter(hasVector).length * dimensions);
+
+    let vectorIndex = 0;
+    const chunks = data.chunks.map(chunk => {
+        const { embedding, ...fields } = chunk;
+        if (!hasVector(chunk)) {
+            return { ...fields, vectorIndex: null };
+        }
+        vectors.set(embedding[0].values, vectorIndex * dimensions);
+        return { ...fields, vectorIndex: vectorIndex++ };
+    });
+
+    // Vectors first: a manifest is only ever visible next to its complete vector file
+    writeFileAtomic(vectorsPath, Buffer.from(vectors.buffer));
+    writeFileAtomic(manifestPath, JSON.stringify({ ...data, format: VECTOR_FILE_FORMAT, dimensions, chunks }, null, 2));
+    documentCache.delete(pdfId);
+
+    return manifestPath;
+}
+
+/**
+ * Read a document manifest and attach its vectors to the chunks
+ * @param {string} pdfId - Document identifier
+ * @returns {Object} Document data, chunks carry embedding [{ values }] as in legacy files
+ */
+function readEmbeddingDocument(pdfId) {
+    const { manifestPath, vectorsPath } = getDocumentPaths(pdfId);
+    const data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+    // Legacy file: vectors are already inline
+    if (data.format !== VECTOR_FILE_FORMAT) {
+        return data;
+    }
+
+    const buffer = fs.readFileSync(vectorsPath);
+    // Copy into a fresh ArrayBuffer: Float32Array needs a 4-byte aligned offset
+    const vectors = new Float32Array(buffer.length / Float32Array.BYTES_PER_ELEMENT);
+    new Uint8Array(vectors.buffer).set(buffer);
+
+    const { dimensions } = data;
+    data.chunks = data.chunks.map(({ vectorIndex, ...chunk }) => ({
+        ...chunk,
+        embedding: vectorIndex === null || vectorIndex === undefined
+            ? []
+            : [{ values: Array.from(vectors.subarray(vectorIndex * dimensions, (vectorIndex + 1) * dimensions)) }]
+    }));
+    return data;
+}
+
+/**
+ * Save chunks and embeddings as a JSON manifest and a packed vector file
  * @param {string} filePath - Path to the PDF file
- * @param {Array} chunks - Array of text chunks
+ * @param {Array} chunks - Array of text chunks, or { text, hash, page, startOffset, endOffset } objects
+ *   (the chunk text hash is computed when missing)
  * @param {Array} embeddings - Array of embeddings
+ * @param {string} pdfId - Document identifier
+ * @param {Object} metadata - Extra fields to store with the document (e.g. embedding model)
  * @returns {string} - Generated PDF ID
  */
-export function saveEmbeddingsToFile(filePath, chunks, embeddings, pdfId) {
+export function saveEmbeddingsToFile(filePath, chunks, embeddings, pdfId, metadata = {}) {
     try {
         ensureDataDirectory();
 
         const id = pdfId || generatePdfId(filePath); // Use passed pdfId or generate if not provided
-        const fileName = `${id}.json`;
-        const outputPath = path.join(DATA_DIR, fileName);
 
         // Prepare data structure
         const data = {
             pdfId: path.basename(filePath),
+            docId: id,
+            docName: path.basename(filePath),
             originalPath: filePath,
             createdAt: new Date().toISOString(),
-            chunks: chunks.map((chunk, index) => ({
-                text: chunk,
-                embedding: embeddings[index]?.embedding || []
-            }))
+            ...metadata,
+            chunks: chunks.map((chunk, index) => {
+                const { text, hash = hashText(text), page = null, startOffset = null, endOffset = null } =
+                    typeof chunk === 'string' ? { text: chunk } : chunk;
+                return {
+                    text,
+                    hash,
+                    page,
+                    startOffset,
+                    endOffset,
+                    embedding: embeddings[index]?.embedding || []
+                };
+            })
         };
 
         // Write to file
-        fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
+        const outputPath = writeEmbeddingDocument(id, data);
         console.log(`Embeddings saved to: ${outputPath}`);
 
         return id;
@@ -93,6 +203,10 @@ export function loadExistingEmbeddings(filePath, pdfId) {
             const loadedEmbeddings = existingData.chunks.map((chunk, index) => ({
                 chunkIndex: index,
                 text: chunk.text,
+                hash: chunk.hash || hashText(chunk.text),
+                page: chunk.page ?? null,
+                startOffset: chunk.startOffset ?? null,
+                endOffset: chunk.endOffset ?? null,
                 embedding: chunk.embedding
             }));
             console.log(`Loaded ${loadedEmbeddings.length} existing embeddings`);
@@ -103,21 +217,30 @@ export function loadExistingEmbeddings(filePath, pdfId) {
 }
 
 /**
- * Load embeddings from JSON file
+ * Load embeddings of a document (manifest + vector file, or legacy JSON file).
+ * Documents are cached in memory until their manifest changes on disk;
+ * the returned object is shared, so callers must not modify it.
  * @param {string} pdfId - PDF identifier
  * @returns {Object|null} - Loaded embeddings data or null if not found
  */
 export function loadEmbeddingsFromFile(pdfId) {
     try {
-        const fileName = `${pdfId}.json`;
-        const filePath = path.join(DATA_DIR, fileName);
+        const { manifestPath } = getDocumentPaths(pdfId);
 
-        if (!fs.existsSync(filePath)) {
+        if (!fs.existsSync(manifestPath)) {
+            documentCache.delete(pdfId);
             return null;
         }
 
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
+        const { mtimeMs, size } = fs.statSync(manifestPath);
+        const cached = documentCache.get(pdfId);
+        if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+            return cached.data;
+        }
+
+        const data = readEmbeddingDocument(pdfId);
+        documentCache.set(pdfId, { mtimeMs, size, data });
+        return data;
     } catch (error) {
         console.error("Error loading embeddings:", error);
         return null;
@@ -154,18 +277,19 @@ export function listStoredEmbeddings() {
 }
 
 /**
- * Delete embedding file
+ * Delete embedding files (manifest and vector file)
  * @param {string} pdfId - PDF identifier
  * @returns {boolean} - True if deleted successfully
  */
 export function deleteEmbeddings(pdfId) {
     try {
-        const fileName = `${pdfId}.json`;
-        const filePath = path.join(DATA_DIR, fileName);
+        const { manifestPath, vectorsPath } = getDocumentPaths(pdfId);
+        documentCache.delete(pdfId);
+        fs.rmSync(vectorsPath, { force: true });
 
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-            console.log(`Deleted embeddings: ${filePath}`);
+        if (fs.existsSync(manifestPath)) {
+            fs.unlinkSync(manifestPath);
+            console.log(`Deleted embeddings: ${manifestPath}`);
             return true;
         }
         return false;
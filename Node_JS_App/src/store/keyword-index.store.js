@@ -0,0 +1,116 @@
+import fs from "fs";
+import path from "path";
+import { STORAGE_PATHS } from '../config/path.js';
+import { buildKeywordIndex } from '../vector-operations/bm25.index.js';
+import { loadEmbeddingsFromFile } from './document.store.js';
+
+// Keyword index directory path
+const INDEX_DIR = STORAGE_PATHS.KEYWORD_INDEX;
+
+// Loaded indexes by document id, reused while the index file is unchanged
+const indexCache = new Map();
+
+/**
+ * Ensure keyword index directory exists
+ */
+function ensureIndexDirectory() {
+    if (!fs.existsSync(INDEX_DIR)) {
+        fs.mkdirSync(INDEX_DIR, { recursive: true });
+        console.log("Created keyword index directory:", INDEX_DIR);
+    }
+}
+
+/**
+ * Get the keyword index file path of a document
+ * @param {string} docId - Document identifier
+ * @returns {string} File path
+ */
+function getIndexPath(docId) {
+    return path.join(INDEX_DIR, `${docId}.json`);
+}
+
+/**
+ * Save the BM25 keyword index of a document
+ * @param {string} docId - Document identifier
+ * @param {Object} index - Index from buildKeywordIndex
+ */
+export function saveKeywordIndex(docId, index) {
+    try {
+        ensureIndexDirectory();
+        fs.writeFileSync(getIndexPath(docId), JSON.stringify({ docId, createdAt: new Date().toISOString(), ...index }));
+        indexCache.delete(docId);
+        console.log(`Keyword index saved for: ${docId}`);
+    } catch (error) {
+        console.error("Error saving keyword index:", error);
+        throw error;
+    }
+}
+
+/**
+ * Build and save the keyword index of a document from its chunks
+ * @param {string} docId - Document identifier
+ * @param {Array} chunks - Chunk texts or { text } objects
+ * @returns {Object} The saved index
+ */
+export function indexDocumentKeywords(docId, chunks) {
+    const index = buildKeywordIndex(chunks);
+    saveKeywordIndex(docId, index);
+    return index;
+}
+
+/**
+ * Load the keyword index of a document. Documents indexed before keyword search existed
+ * are indexed on first use from their stored chunks.
+ * Indexes are cached in memory until their file changes on disk;
+ * the returned object is shared, so callers must not modify it.
+ * @param {string} docId - Document identifier
+ * @returns {Object|null} Index or null if the document has no chunks
+ */
+export function loadKeywordIndex(docId) {
+    try {
+        const indexPath = getIndexPath(docId);
+        if (fs.existsSync(indexPath)) {
+            const { mtimeMs, size } = fs.statSync(indexPath);
+            const cached = indexCache.get(docId);
+            if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+                return cached.index;
+            }
+
+            const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+            indexCache.set(docId, { mtimeMs, size, index });
+            return index;
+        }
+        indexCache.delete(docId);
+
+        const data = loadEmbeddingsFromFile(docId);
+        if (!data || !data.chunks) {
+            return null;
+        }
+        console.log(`Building missing keyword index for: ${docId}`);
+        return indexDocumentKeywords(docId, data.chunks);
+    } catch (error) {
+        console.error("Error loading keyword index:", error);
+        return null;
+    }
+}
+
+/**
+ * Delete the keyword index of a document
+ * @param {string} docId - Document identifier
+ * @returns {boolean} True if deleted
+ */
+export function deleteKeywordIndex(docId) {
+    try {
+        indexCache.delete(docId);
+        const indexPath = getIndexPath(docId);
+        if (fs.existsSync(indexPath)) {
+            fs.unlinkSync(indexPath);
+            console.log(`Deleted keyword index: ${indexPath}`);
+            return true;
+        }
+        return false;
+    } catch (error) {
+        console.error("Error deleting keyword index:", error);
+        return false;
+    }
+}
@@ -1,57 +1,143 @@
-import { LocalStorage } from "node-localstorage";
-import { STORAGE_PATHS } from '../config/path.js';
-import { CACHE_CONFIG, LOGGING_CONFIG } from '../config/app.config.js';
+import fs from "fs";
+import path from "path";
 import crypto from "crypto";
+import { queryDB } from './sqlite.db.js';
+import { getEmbeddingModelKey } from '../services/genai.service.js';
+import { toVectorBlob, fromVectorBlob } from '../utils/vector.js';
+import { parseFileSize } from '../utils/util.js';
+import { STORAGE_PATHS } from '../config/path.js';
+import { CACHE_CONFIG, LOGGING_CONFIG, ENV_CONFIG } from '../config/app.config.js';
+
+// Counters since the server started
+const counters = { hits: 0, misses: 0, expired: 0, evictions: 0 };
 
-// Initialize local storage
-const localStorage = new LocalStorage(STORAGE_PATHS.CACHE);
+let legacyCacheImported = false;
 
 /**
- * Generate a hash key for prompt to use as storage key
+ * Generate a hash key for prompt to use as storage key.
+ * The embedding model is part of the key, so switching models never returns incompatible vectors.
  * @param {string} prompt - User prompt text
+ * @param {string} embeddingModel - Embedding model key (e.g. 'gemini/gemini-embedding-001')
  * @returns {string} Hashed key for the prompt
  */
-function generatePromptKey(prompt) {
-    return crypto.createHash(CACHE_CONFIG.HASH_ALGORITHM).update(prompt.toLowerCase().trim()).digest(CACHE_CONFIG.HASH_ENCODING);
+function generatePromptKey(prompt, embeddingModel) {
+    return crypto.createHash(CACHE_CONFIG.HASH_ALGORITHM)
+        .update(`${embeddingModel}\n${prompt.toLowerCase().trim()}`)
+        .digest(CACHE_CONFIG.HASH_ENCODING);
+}
+
+/**
+ * Move prompt embeddings cached by older versions (one node-localstorage file per prompt in
+ * storage/cache) into the cache table. They were embedded with Gemini, and their TTL starts now.
+ */
+function importLegacyCache() {
+    if (legacyCacheImported) return;
+    legacyCacheImported = true;
+
+    try {
+        if (!fs.existsSync(STORAGE_PATHS.CACHE)) return;
+        const legacyModel = `gemini/${ENV_CONFIG.GEMINI_MODEL_EMBEDDING}`;
+        const files = fs.readdirSync(STORAGE_PATHS.CACHE).filter(file => file.startsWith(CACHE_CONFIG.PROMPT_KEY_PREFIX));
+
+        let imported = 0;
+        files.forEach(file => {
+            const filePath = path.join(STORAGE_PATHS.CACHE, file);
+            try {
+                const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                const embedding = toVectorBlob(data.embedding);
+                if (data.prompt && embedding) {
+                    queryDB.savePromptEmbedding({
+                        cacheKey: generatePromptKey(data.prompt, legacyModel),
+                        prompt: data.prompt,
+                        embeddingModel: legacyModel,
+                        embedding,
+                        createdAt: Date.now()
+                    }, false);
+                    imported++;
+                }
+                fs.unlinkSync(filePath);
+            } catch (error) {
+                console.error(`Error importing cached prompt ${file}:`, error.message);
+            }
+        });
+
+        if (files.length > 0) {
+            console.log(`✅ Imported ${imported} prompt embedding(s) from ${STORAGE_PATHS.CACHE}`);
+            enforceCacheLimits();
+        }
+    } catch (error) {
+        console.error("Error importing legacy prompt cache:", error);
+    }
+}
+
+/**
+ * Remove expired entries, then the least recently used ones beyond the entry and size quotas
+ */
+function enforceCacheLimits() {
+    const { expired, evicted } = queryDB.evictPromptEmbeddings({
+        expiresBefore: Date.now() - CACHE_CONFIG.PROMPT_CACHE_TTL_SECONDS * 1000,
+        maxEntries: CACHE_CONFIG.PROMPT_CACHE_MAX_ENTRIES,
+        maxBytes: parseFileSize(CACHE_CONFIG.PROMPT_CACHE_MAX_SIZE)
+    });
+    counters.expired += expired;
+    counters.evictions += evicted;
+    if (expired + evicted > 0) {
+        console.log(`🧹 Prompt cache: removed ${expired} expired and ${evicted} least recently used embedding(s)`);
+    }
 }
 
 /**
- * Store prompt embedding in local storage
+ * Store prompt embedding in the cache
  * @param {string} prompt - User prompt text
  * @param {Array} embedding - Embedding vector
+ * @param {string} embeddingModel - Model that produced the embedding (default: active embedding model)
  */
-export function storePromptEmbedding(prompt, embedding) {
+export function storePromptEmbedding(prompt, embedding, embeddingModel = getEmbeddingModelKey()) {
     try {
-        const key = generatePromptKey(prompt);
-        const data = {
-            prompt: prompt,
-            embedding: embedding,
-            timestamp: new Date().toISOString(),
-            embeddingLength: embedding.length
-        };
-        localStorage.setItem(`${CACHE_CONFIG.PROMPT_KEY_PREFIX}${key}`, JSON.stringify(data));
+        importLegacyCache();
+        const key = generatePromptKey(prompt, embeddingModel);
+        const vector = toVectorBlob(embedding);
+        if (!vector) return;
+
+        queryDB.savePromptEmbedding({ cacheKey: key, prompt, embeddingModel, embedding: vector, createdAt: Date.now() });
         console.log(`Stored prompt embedding with key: ${CACHE_CONFIG.PROMPT_KEY_PREFIX}${key}`);
+        enforceCacheLimits();
     } catch (error) {
         console.error("Error storing prompt embedding:", error);
     }
 }
 
 /**
- * Retrieve prompt embedding from local storage
+ * Retrieve prompt embedding from the cache
  * @param {string} prompt - User prompt text
- * @returns {Array|null} Embedding vector or null if not found
+ * @param {string} embeddingModel - Model the embedding must come from (default: active embedding model)
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.peek] - Only read: no last access update, expired entry removal or hit counting
+ * @returns {Array|null} Embedding vector or null if not found or expired
  */
-export function getStoredPromptEmbedding(prompt) {
+export function getStoredPromptEmbedding(prompt, embeddingModel = getEmbeddingModelKey(), { peek = false } = {}) {
     try {
-        const key = generatePromptKey(prompt);
-        const stored = localStorage.getItem(`${CACHE_CONFIG.PROMPT_KEY_PREFIX}${key}`);
-        
-        if (stored) {
-            const data = JSON.parse(stored);
+        importLegacyCache();
+        const key = generatePromptKey(prompt, embeddingModel);
+        const entry = queryDB.getPromptEmbedding(key);
+        const now = Date.now();
+
+        if (peek) {
+            const expired = !entry || entry.createdAt < now - CACHE_CONFIG.PROMPT_CACHE_TTL_SECONDS * 1000;
+            return expired ? null : fromVectorBlob(entry.embedding);
+        }
+
+        if (entry && entry.createdAt < now - CACHE_CONFIG.PROMPT_CACHE_TTL_SECONDS * 1000) {
+            queryDB.deletePromptEmbedding(key);
+            counters.expired++;
+        } else if (entry) {
+            queryDB.touchPromptEmbedding(key, now);
+            counters.hits++;
             console.log(`Retrieved cached embedding for prompt: "${prompt.substring(0, LOGGING_CONFIG.MAX_PROMPT_DISPLAY_LENGTH)}..."`);
-            return data.embedding;
+            return fromVectorBlob(entry.embedding);
         }
-        
+
+        counters.misses++;
         return null;
     } catch (error) {
         console.error("Error retrieving prompt embedding:", error);
@@ -60,28 +146,23 @@ export function getStoredPromptEmbedding(prompt) {
 }
 
 /**
- * List all cached prompt embeddings
+ * List all cached prompt embeddings, most recently used first
  * @returns {Array} List of cached prompt data
  */
 export function listCachedPrompts() {
     try {
-        const cachedPrompts = [];
-        const length = localStorage.length;
-        
-        for (let i = 0; i < length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('prompt_')) {
-                const data = JSON.parse(localStorage.getItem(key));
-                cachedPrompts.push({
-                    key: key,
-                    prompt: data.prompt,
-                    timestamp: data.timestamp,
-                    embeddingLength: data.embeddingLength
-                });
-            }
-        }
-        
-        return cachedPrompts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        importLegacyCache();
+        return queryDB.listPromptEmbeddings().map(entry => ({
+            key: `${CACHE_CONFIG.PROMPT_KEY_PREFIX}${entry.cacheKey}`,
+            prompt: entry.prompt,
+            embeddingModel: entry.embeddingModel,
+            embeddingLength: entry.sizeBytes / Float32Array.BYTES_PER_ELEMENT,
+            sizeBytes: entry.sizeBytes,
+            hits: entry.hits,
+            timestamp: new Date(entry.createdAt).toISOString(),
+            lastAccessedAt: new Date(entry.lastAccessedAt).toISOString(),
+            expiresAt: new Date(entry.createdAt + CACHE_CONFIG.PROMPT_CACHE_TTL_SECONDS * 1000).toISOString()
+        }));
     } catch (error) {
         console.error("Error listing cached prompts:", error);
         return [];
@@ -89,24 +170,38 @@ export function listCachedPrompts() {
 }
 
 /**
- * Clear all cached prompt embeddings
+ * Clear cached prompt embeddings
+ * @param {string|null} embeddingModel - Only clear the embeddings of this model (null for all)
+ * @returns {number} Number of cleared embeddings
  */
-export function clearPromptCache() {
+export function clearPromptCache(embeddingModel = null) {
     try {
-        const keys = [];
-        const length = localStorage.length;
-        
-        for (let i = 0; i < length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('prompt_')) {
-                keys.push(key);
-            }
-        }
-        
-        keys.forEach(key => localStorage.removeItem(key));
-        console.log(`Cleared ${keys.length} cached prompt embeddings`);
-        
+        importLegacyCache();
+        const cleared = queryDB.clearPromptEmbeddings(embeddingModel);
+        console.log(`Cleared ${cleared} cached prompt embeddings`);
+        return cleared;
     } catch (error) {
         console.error("Error clearing prompt cache:", error);
+        throw error;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Describe the cache usage, limits and hit rate since the server started
+ * @returns {Object} Cache statistics
+ */
+export function getPromptCacheStats() {
+    importLegacyCache();
+    const { entries, bytes } = queryDB.getPromptEmbeddingUsage();
+    const lookups = counters.hits + counters.misses;
+    return {
+        entries,
+        bytes,
+        maxEntries: CACHE_CONFIG.PROMPT_CACHE_MAX_ENTRIES,
+        maxBytes: parseFileSize(CACHE_CONFIG.PROMPT_CACHE_MAX_SIZE),
+        ttlSeconds: CACHE_CONFIG.PROMPT_CACHE_TTL_SECONDS,
+        embeddingModel: getEmbeddingModelKey(),
+        ...counters,
+        hitRate: lookups > 0 ? counters.hits / lookups : null
+    };
+}
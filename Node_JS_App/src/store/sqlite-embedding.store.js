@@ -0,0 +1,141 @@
+import path from "path";
+import { queryDB } from './sqlite.db.js';
+import { generatePdfId } from './embedding.store.js';
+import { hashText } from '../utils/util.js';
+import { toVectorBlob, fromVectorBlob } from '../utils/vector.js';
+
+// Loaded documents by id; this process is the only writer, so saves and deletes invalidate it
+const documentCache = new Map();
+
+/**
+ * Save chunks and embeddings of a document in the documents and chunks tables
+ * @param {string} filePath - Path to the source document
+ * @param {Array} chunks - Array of text chunks, or { text, hash, page, startOffset, endOffset } objects
+ * @param {Array} embeddings - Array of embeddings
+ * @param {string} pdfId - Document identifier
+ * @param {Object} metadata - Extra fields to store with the document (e.g. embedding model);
+ *   `docName` and `originalPath` override the name and path taken from the file path
+ * @returns {string} - Document identifier
+ */
+export function saveEmbeddingsToFile(filePath, chunks, embeddings, pdfId, metadata = {}) {
+    const id = pdfId || generatePdfId(filePath);
+    const { docName = path.basename(filePath), originalPath = filePath, ...documentMetadata } = metadata;
+    const storedChunks = chunks.map((chunk, index) => {
+        const { text, hash = hashText(text), page = null, startOffset = null, endOffset = null } =
+            typeof chunk === 'string' ? { text: chunk } : chunk;
+        return { text, hash, page, startOffset, endOffset, embedding: toVectorBlob(embeddings[index]?.embedding) };
+    });
+    const vectorBlob = storedChunks.find(chunk => chunk.embedding);
+
+    queryDB.saveDocument({
+        docId: id,
+        docName,
+        originalPath,
+        dimensions: vectorBlob ? vectorBlob.embedding.length / Float32Array.BYTES_PER_ELEMENT : 0,
+        metadata: documentMetadata
+    }, storedChunks);
+    documentCache.delete(id);
+    console.log(`Embeddings saved to database: ${id}`);
+
+    return id;
+}
+
+/**
+ * Load a document with the same shape as the file store
+ * @param {string} pdfId - Document identifier
+ * @returns {Object|null} - Document data or null if not found
+ */
+export function loadEmbeddingsFromFile(pdfId) {
+    try {
+        if (documentCache.has(pdfId)) {
+            return documentCache.get(pdfId);
+        }
+
+        const document = queryDB.getDocument(pdfId);
+        if (!document) {
+            return null;
+        }
+
+        const data = {
+            pdfId: document.docName,
+            docId: document.docId,
+            docName: document.docName,
+            originalPath: document.originalPath,
+            createdAt: document.createdAt,
+            dimensions: document.dimensions,
+            ...document.metadata,
+            chunks: document.chunks.map(chunk => ({
+                text: chunk.text,
+                hash: chunk.hash,
+                page: chunk.page,
+                startOffset: chunk.startOffset,
+                endOffset: chunk.endOffset,
+                embedding: fromVectorBlob(chunk.embedding)
+            }))
+        };
+        documentCache.set(pdfId, data);
+        return data;
+    } catch (error) {
+        console.error("Error loading embeddings:", error);
+        return null;
+    }
+}
+
+/**
+ * Load existing embeddings of a document if they exist
+ * @param {string} filePath - Path to the original document
+ * @param {string} pdfId - Document identifier
+ * @returns {Array|null} - Existing embeddings or null if not found
+ */
+export function loadExistingEmbeddings(filePath, pdfId) {
+    if (!filePath || !embeddingsExist(filePath)) {
+        return null;
+    }
+
+    console.log(`Loading existing embeddings for: ${pdfId}`);
+    const existingData = loadEmbeddingsFromFile(pdfId);
+    if (!existingData) {
+        return null;
+    }
+
+    const loadedEmbeddings = existingData.chunks.map((chunk, index) => ({ chunkIndex: index, ...chunk }));
+    console.log(`Loaded ${loadedEmbeddings.length} existing embeddings`);
+    return loadedEmbeddings;
+}
+
+/**
+ * Check if embeddings exist for a document
+ * @param {string} filePath - Path to the document
+ * @returns {boolean} - True if embeddings exist
+ */
+export function embeddingsExist(filePath) {
+    return listStoredEmbeddings().includes(generatePdfId(filePath));
+}
+
+/**
+ * List all stored documents
+ * @returns {Array} - Array of document IDs
+ */
+export function listStoredEmbeddings() {
+    try {
+        return queryDB.listDocumentIds();
+    } catch (error) {
+        console.error("Error listing embeddings:", error);
+        return [];
+    }
+}
+
+/**
+ * Delete a document and its chunks
+ * @param {string} pdfId - Document identifier
+ * @returns {boolean} - True if deleted successfully
+ */
+export function deleteEmbeddings(pdfId) {
+    try {
+        documentCache.delete(pdfId);
+        return queryDB.deleteDocument(pdfId);
+    } catch (error) {
+        console.error("Error deleting embeddings:", error);
+        return false;
+    }
+}
@@ -7,7 +7,8 @@ import { v4 as uuidv4 } from 'uuid';
 const DB_PATH = path.join(process.cwd(), 'storage', 'database', 'queries.db');
 
 /**
- * SQLite Database service for managing user queries
+ * SQLite Database service for managing user queries, documents with their chunks,
+ * conversation sessions and the prompt embedding cache
  */
 class QueryDatabase {
     constructor() {
@@ -29,8 +30,13 @@ class QueryDatabase {
             // Connect to database
             this.db = new Database(DB_PATH);
             this.db.pragma('journal_mode = WAL'); // Enable WAL mode for better performance
+            this.db.pragma('foreign_keys = ON');
 
             this.createTable();
+            this.createDocumentTables();
+            this.createSessionTables();
+            this.createPromptCacheTable();
+            this.createUnansweredQuestionsTable();
             console.log('✅ SQLite database initialized successfully');
         } catch (error) {
             console.error('❌ Database initialization failed:', error);
@@ -50,12 +56,28 @@ class QueryDatabase {
                 createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
                 liked INTEGER DEFAULT 0 CHECK (liked IN (0, 1)),
                 disliked INTEGER DEFAULT 0 CHECK (disliked IN (0, 1)),
-                isDeleted INTEGER DEFAULT 0 CHECK (isDeleted IN (0, 1))
+                isDeleted INTEGER DEFAULT 0 CHECK (isDeleted IN (0, 1)),
+                sources TEXT DEFAULT '[]',
+                promptEmbedding BLOB,
+                embeddingModel TEXT,
+                isStale INTEGER DEFAULT 0 CHECK (isStale IN (0, 1)),
+                staleReason TEXT,
+                isCacheable INTEGER DEFAULT 1 CHECK (isCacheable IN (0, 1))
             )
         `;
 
         try {
             this.db.exec(createTableSQL);
+            // Databases created before citations were added
+            this.ensureColumn('user_queries', 'sources', "TEXT DEFAULT '[]'");
+            // Databases created before the semantic answer cache
+            this.ensureColumn('user_queries', 'promptEmbedding', 'BLOB');
+            this.ensureColumn('user_queries', 'embeddingModel', 'TEXT');
+            // Databases created before answers were invalidated on document changes
+            this.ensureColumn('user_queries', 'isStale', 'INTEGER DEFAULT 0 CHECK (isStale IN (0, 1))');
+            this.ensureColumn('user_queries', 'staleReason', 'TEXT');
+            // Databases created before answers made with request-specific settings were kept out of the cache
+            this.ensureColumn('user_queries', 'isCacheable', 'INTEGER DEFAULT 1 CHECK (isCacheable IN (0, 1))');
             console.log('✅ user_queries table created/verified');
         } catch (error) {
             console.error('❌ Failed to create table:', error);
@@ -63,22 +85,232 @@ class QueryDatabase {
         }
     }
 
+    /**
+     * Create documents, chunks, query_chunks and query_documents tables
+     * Chunk vectors are stored as packed Float32 BLOBs; query_chunks links each answer
+     * to the chunks it was built from, query_documents to the document versions it used
+     */
+    createDocumentTables() {
+        const createTablesSQL = `
+            CREATE TABLE IF NOT EXISTS documents (
+                docId TEXT PRIMARY KEY,
+                docName TEXT NOT NULL,
+                originalPath TEXT,
+                dimensions INTEGER DEFAULT 0,
+                metadata TEXT DEFAULT '{}',
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS chunks (
+                docId TEXT NOT NULL REFERENCES documents(docId) ON DELETE CASCADE,
+                chunkIndex INTEGER NOT NULL,
+                text TEXT NOT NULL,
+                hash TEXT,
+                page INTEGER,
+                startOffset INTEGER,
+                endOffset INTEGER,
+                embedding BLOB,
+                PRIMARY KEY (docId, chunkIndex)
+            );
+
+            CREATE TABLE IF NOT EXISTS query_chunks (
+                queryId TEXT NOT NULL REFERENCES user_queries(queryId) ON DELETE CASCADE,
+                docId TEXT NOT NULL,
+                chunkIndex INTEGER NOT NULL,
+                sourceId INTEGER NOT NULL,
+                score REAL,
+                PRIMARY KEY (queryId, docId, chunkIndex),
+                FOREIGN KEY (docId, chunkIndex) REFERENCES chunks(docId, chunkIndex) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_query_chunks_chunk ON query_chunks(docId, chunkIndex);
+
+            CREATE TABLE IF NOT EXISTS query_documents (
+                queryId TEXT NOT NULL REFERENCES user_queries(queryId) ON DELETE CASCADE,
+                docId TEXT NOT NULL,
+                docVersion TEXT,
+                PRIMARY KEY (queryId, docId)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_query_documents_doc ON query_documents(docId);
+        `;
+
+        try {
+            this.db.exec(createTablesSQL);
+            // Databases created before chunk hashes were added
+            this.ensureColumn('chunks', 'hash', 'TEXT');
+            console.log('✅ documents, chunks, query_chunks and query_documents tables created/verified');
+        } catch (error) {
+            console.error('❌ Failed to create document tables:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create sessions and session_messages tables
+     * Each answered message keeps the standalone query used for retrieval and the queryId of the answer
+     */
+    createSessionTables() {
+        const createTablesSQL = `
+            CREATE TABLE IF NOT EXISTS sessions (
+                sessionId TEXT PRIMARY KEY,
+                title TEXT,
+                docIds TEXT DEFAULT '[]',
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS session_messages (
+                messageId INTEGER PRIMARY KEY AUTOINCREMENT,
+                sessionId TEXT NOT NULL REFERENCES sessions(sessionId) ON DELETE CASCADE,
+                role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+                content TEXT NOT NULL,
+                standaloneQuery TEXT,
+                queryId TEXT,
+                sources TEXT DEFAULT '[]',
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_session_messages_session ON session_messages(sessionId, messageId);
+        `;
+
+        try {
+            this.db.exec(createTablesSQL);
+            console.log('✅ sessions and session_messages tables created/verified');
+        } catch (error) {
+            console.error('❌ Failed to create session tables:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create prompt_embeddings table (prompt embedding cache)
+     * Times are epoch milliseconds; lastAccessedAt orders LRU eviction
+     */
+    createPromptCacheTable() {
+        const createTableSQL = `
+            CREATE TABLE IF NOT EXISTS prompt_embeddings (
+                cacheKey TEXT PRIMARY KEY,
+                prompt TEXT NOT NULL,
+                embeddingModel TEXT NOT NULL,
+                embedding BLOB NOT NULL,
+                sizeBytes INTEGER NOT NULL,
+                createdAt INTEGER NOT NULL,
+                lastAccessedAt INTEGER NOT NULL,
+                hits INTEGER DEFAULT 0
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_prompt_embeddings_access ON prompt_embeddings(lastAccessedAt);
+        `;
+
+        try {
+            this.db.exec(createTableSQL);
+            console.log('✅ prompt_embeddings table created/verified');
+        } catch (error) {
+            console.error('❌ Failed to create prompt cache table:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create unanswered_questions table (questions answered "not found", to find content gaps)
+     * reason: 'no_context' (nothing retrieved), 'below_threshold' (best chunk under the minimum
+     * similarity, the LLM was not called) or 'llm_not_found' (the LLM found no answer in the context)
+     */
+    createUnansweredQuestionsTable() {
+        const createTableSQL = `
+            CREATE TABLE IF NOT EXISTS unanswered_questions (
+                questionId INTEGER PRIMARY KEY AUTOINCREMENT,
+                prompt TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                bestScore REAL,
+                minScore REAL,
+                docIds TEXT DEFAULT '[]',
+                queryId TEXT,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_unanswered_questions_created ON unanswered_questions(createdAt);
+        `;
+
+        try {
+            this.db.exec(createTableSQL);
+            console.log('✅ unanswered_questions table created/verified');
+        } catch (error) {
+            console.error('❌ Failed to create unanswered questions table:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a column to an existing table if it is missing
+     * @param {string} table - Table name
+     * @param {string} column - Column name
+     * @param {string} definition - Column type and constraints
+     */
+    ensureColumn(table, column, definition) {
+        const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+        if (!columns.some(existing => existing.name === column)) {
+            this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`✅ Added column ${table}.${column}`);
+        }
+    }
+
+    /**
+     * Convert a user_queries row into a query object (parses JSON columns)
+     * @param {object|undefined} row - Database row
+     * @returns {object|null} Query data or null
+     */
+    mapQueryRow(row) {
+        if (!row) {
+            return null;
+        }
+        return {
+            ...row,
+            sources: row.sources ? JSON.parse(row.sources) : []
+        };
+    }
+
     /**
      * Insert a new user query
      * @param {string} prompt - User's question
      * @param {string} answer - AI-generated answer
+     * @param {array} sources - Cited sources ({ id, docId, docName, chunkIndex, score, excerpt })
+     * @param {object} options - Extra data saved with the answer
+     * @param {Buffer|null} options.promptEmbedding - Float32 BLOB of the prompt embedding (semantic answer cache)
+     * @param {string|null} options.embeddingModel - Model that produced it
+     * @param {array} options.documents - Document versions the answer used ({ docId, version })
+     * @param {boolean} options.cacheable - False keeps the answer out of the answer cache (exact and semantic)
      * @returns {object} Inserted query data
      */
-    insertQuery(prompt, answer) {
+    insertQuery(prompt, answer, sources = [], { promptEmbedding = null, embeddingModel = null, documents = [], cacheable = true } = {}) {
         const queryId = uuidv4();
         const insertSQL = `
-            INSERT INTO user_queries (queryId, prompt, answer, createdAt)
-            VALUES (?, ?, ?, datetime('now'))
+            INSERT INTO user_queries (queryId, prompt, answer, sources, promptEmbedding, embeddingModel, isCacheable, createdAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        `;
+
+        // Only chunks stored in the chunks table can be linked
+        const linkChunkSQL = `
+            INSERT OR IGNORE INTO query_chunks (queryId, docId, chunkIndex, sourceId, score)
+            SELECT ?, docId, chunkIndex, ?, ? FROM chunks WHERE docId = ? AND chunkIndex = ?
+        `;
+        const linkDocumentSQL = `
+            INSERT OR IGNORE INTO query_documents (queryId, docId, docVersion)
+            VALUES (?, ?, ?)
         `;
 
         try {
             const stmt = this.db.prepare(insertSQL);
-            const result = stmt.run(queryId, prompt, answer);
+            const linkStmt = this.db.prepare(linkChunkSQL);
+            const linkDocumentStmt = this.db.prepare(linkDocumentSQL);
+            this.db.transaction(() => {
+                stmt.run(queryId, prompt, answer, JSON.stringify(sources), promptEmbedding, embeddingModel, cacheable ? 1 : 0);
+                sources
+                    .filter(source => source.docId && Number.isInteger(source.chunkIndex))
+                    .forEach(source => linkStmt.run(queryId, source.id, source.score ?? null, source.docId, source.chunkIndex));
+                documents.forEach(document => linkDocumentStmt.run(queryId, document.docId, document.version ?? null));
+            })();
 
             // Maintain only last 10 queries
             // this.maintainQueryLimit();
@@ -100,7 +332,7 @@ class QueryDatabase {
      */
     getQueryById(queryId) {
         const selectSQL = `
-            SELECT queryId, prompt, answer, createdAt, liked, disliked, isDeleted
+            SELECT queryId, prompt, answer, sources, createdAt, liked, disliked, isDeleted, isStale, staleReason
             FROM user_queries 
             WHERE queryId = ? AND isDeleted = 0
         `;
@@ -108,7 +340,7 @@ class QueryDatabase {
         try {
             const stmt = this.db.prepare(selectSQL);
             const result = stmt.get(queryId);
-            return result || null;
+            return this.mapQueryRow(result);
         } catch (error) {
             console.error('❌ Failed to get query by ID:', error);
             throw error;
@@ -121,7 +353,7 @@ class QueryDatabase {
      */
     getAllQueries() {
         const selectSQL = `
-            SELECT queryId, prompt, answer, createdAt, liked, disliked, isDeleted
+            SELECT queryId, prompt, answer, sources, createdAt, liked, disliked, isDeleted, isStale, staleReason
             FROM user_queries 
             WHERE isDeleted = 0
             ORDER BY createdAt DESC
@@ -131,7 +363,7 @@ class QueryDatabase {
         try {
             const stmt = this.db.prepare(selectSQL);
             const results = stmt.all();
-            return results;
+            return results.map(row => this.mapQueryRow(row));
         } catch (error) {
             console.error('❌ Failed to get all queries:', error);
             throw error;
@@ -241,7 +473,9 @@ class QueryDatabase {
                 SUM(liked) as totalLikes,
                 SUM(disliked) as totalDislikes,
                 COUNT(CASE WHEN liked = 1 THEN 1 END) as likedQueries,
-                COUNT(CASE WHEN disliked = 1 THEN 1 END) as dislikedQueries
+                COUNT(CASE WHEN disliked = 1 THEN 1 END) as dislikedQueries,
+                COUNT(CASE WHEN isStale = 1 THEN 1 END) as staleQueries,
+                (SELECT COUNT(*) FROM unanswered_questions) as unansweredQuestions
             FROM user_queries 
             WHERE isDeleted = 0
         `;
@@ -254,7 +488,9 @@ class QueryDatabase {
                 totalLikes: result.totalLikes || 0,
                 totalDislikes: result.totalDislikes || 0,
                 likedQueries: result.likedQueries || 0,
-                dislikedQueries: result.dislikedQueries || 0
+                dislikedQueries: result.dislikedQueries || 0,
+                staleQueries: result.staleQueries || 0,
+                unansweredQuestions: result.unansweredQuestions || 0
             };
         } catch (error) {
             console.error('❌ Failed to get query stats:', error);
@@ -269,9 +505,9 @@ class QueryDatabase {
      */
     findQueryByPrompt(prompt) {
         const searchSQL = `
-            SELECT queryId, prompt, answer, createdAt, liked, disliked, isDeleted
+            SELECT queryId, prompt, answer, sources, createdAt, liked, disliked, isDeleted, isStale, staleReason
             FROM user_queries 
-            WHERE LOWER(TRIM(prompt)) = LOWER(TRIM(?)) AND isDeleted = 0
+            WHERE LOWER(TRIM(prompt)) = LOWER(TRIM(?)) AND isDeleted = 0 AND isStale = 0 AND isCacheable = 1
             ORDER BY createdAt DESC
             LIMIT 1
         `;
@@ -279,13 +515,34 @@ class QueryDatabase {
         try {
             const stmt = this.db.prepare(searchSQL);
             const result = stmt.get(prompt);
-            return result || null;
+            return this.mapQueryRow(result);
         } catch (error) {
             console.error('❌ Failed to find query by prompt:', error);
             throw error;
         }
     }
 
+    /**
+     * Get the prompt embeddings of saved answers produced with an embedding model
+     * @param {string} embeddingModel - Embedding model key (vectors of other models are not comparable)
+     * @returns {array} Array of { queryId, prompt, promptEmbedding } where promptEmbedding is a Float32 BLOB
+     */
+    getQueryEmbeddings(embeddingModel) {
+        const selectSQL = `
+            SELECT queryId, prompt, promptEmbedding
+            FROM user_queries
+            WHERE embeddingModel = ? AND promptEmbedding IS NOT NULL AND isDeleted = 0 AND isStale = 0 AND isCacheable = 1
+            ORDER BY createdAt DESC
+        `;
+
+        try {
+            return this.db.prepare(selectSQL).all(embeddingModel);
+        } catch (error) {
+            console.error('❌ Failed to get query embeddings:', error);
+            throw error;
+        }
+    }
+
     /**
      * Delete all queries from the table (hard delete)
      * @returns {number} Number of deleted records
@@ -345,6 +602,556 @@ class QueryDatabase {
         }
     }
 
+    /**
+     * Insert or replace a document and all its chunks in one transaction.
+     * The document row is updated in place. Answers stay linked to the chunks whose text is
+     * still in the document, at their new position; links to text that is gone are dropped.
+     * @param {object} document - { docId, docName, originalPath, dimensions, metadata }
+     * @param {array} chunks - Array of { text, hash, page, startOffset, endOffset, embedding } where embedding is a Buffer or null
+     * @returns {number} Number of stored chunks
+     */
+    saveDocument(document, chunks) {
+        const upsertDocumentSQL = `
+            INSERT INTO documents (docId, docName, originalPath, dimensions, metadata, createdAt)
+            VALUES (?, ?, ?, ?, ?, datetime('now'))
+            ON CONFLICT(docId) DO UPDATE SET
+                docName = excluded.docName,
+                originalPath = excluded.originalPath,
+                dimensions = excluded.dimensions,
+                metadata = excluded.metadata,
+                createdAt = excluded.createdAt
+        `;
+        const linksSQL = `
+            SELECT query_chunks.queryId, query_chunks.sourceId, query_chunks.score, chunks.text
+            FROM query_chunks
+            JOIN chunks ON chunks.docId = query_chunks.docId AND chunks.chunkIndex = query_chunks.chunkIndex
+            WHERE query_chunks.docId = ?
+        `;
+        // Deleting the chunks also deletes their query links, which are restored below
+        const deleteChunksSQL = `DELETE FROM chunks WHERE docId = ?`;
+        const insertChunkSQL = `
+            INSERT INTO chunks (docId, chunkIndex, text, hash, page, startOffset, endOffset, embedding)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        const relinkSQL = `
+            INSERT OR IGNORE INTO query_chunks (queryId, docId, chunkIndex, sourceId, score)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        try {
+            const insertChunk = this.db.prepare(insertChunkSQL);
+            const relink = this.db.prepare(relinkSQL);
+            this.db.transaction(() => {
+                const links = this.db.prepare(linksSQL).all(document.docId);
+                this.db.prepare(deleteChunksSQL).run(document.docId);
+                this.db.prepare(upsertDocumentSQL).run(
+                    document.docId,
+                    document.docName,
+                    document.originalPath ?? null,
+                    document.dimensions || 0,
+                    JSON.stringify(document.metadata || {})
+                );
+                chunks.forEach((chunk, index) => insertChunk.run(
+                    document.docId,
+                    index,
+                    chunk.text,
+                    chunk.hash ?? null,
+                    chunk.page ?? null,
+                    chunk.startOffset ?? null,
+                    chunk.endOffset ?? null,
+                    chunk.embedding ?? null
+                ));
+
+                const chunkIndexByText = new Map();
+                chunks.forEach((chunk, index) => {
+                    if (!chunkIndexByText.has(chunk.text)) chunkIndexByText.set(chunk.text, index);
+                });
+                const kept = links.filter(link => chunkIndexByText.has(link.text));
+                kept.forEach(link => relink.run(link.queryId, document.docId, chunkIndexByText.get(link.text), link.sourceId, link.score));
+                if (links.length > kept.length) {
+                    console.log(`⚠️ ${links.length - kept.length} answer link(s) dropped: their chunk text is no longer in ${document.docId}`);
+                }
+            })();
+
+            console.log(`✅ Document saved with ID: ${document.docId} (${chunks.length} chunks)`);
+            return chunks.length;
+        } catch (error) {
+            console.error('❌ Failed to save document:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a document with its chunks
+     * @param {string} docId - Document ID
+     * @returns {object|null} { docId, docName, originalPath, dimensions, metadata, createdAt, chunks } or null
+     */
+    getDocument(docId) {
+        const documentSQL = `
+            SELECT docId, docName, originalPath, dimensions, metadata, createdAt
+            FROM documents
+            WHERE docId = ?
+        `;
+        const chunksSQL = `
+            SELECT chunkIndex, text, hash, page, startOffset, endOffset, embedding
+            FROM chunks
+            WHERE docId = ?
+            ORDER BY chunkIndex
+        `;
+
+        try {
+            const document = this.db.prepare(documentSQL).get(docId);
+            if (!document) {
+                return null;
+            }
+            return {
+                ...document,
+                metadata: JSON.parse(document.metadata || '{}'),
+                chunks: this.db.prepare(chunksSQL).all(docId)
+            };
+        } catch (error) {
+            console.error('❌ Failed to get document:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List stored document IDs
+     * @returns {array} Array of document IDs
+     */
+    listDocumentIds() {
+        try {
+            return this.db.prepare(`SELECT docId FROM documents ORDER BY createdAt`).all().map(row => row.docId);
+        } catch (error) {
+            console.error('❌ Failed to list documents:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a document; its chunks and their query links go in the same transaction
+     * @param {string} docId - Document ID
+     * @returns {boolean} Success status
+     */
+    deleteDocument(docId) {
+        try {
+            const result = this.db.transaction(() => this.db.prepare(`DELETE FROM documents WHERE docId = ?`).run(docId))();
+
+            const success = result.changes > 0;
+            if (success) {
+                console.log(`✅ Document deleted with ID: ${docId}`);
+            } else {
+                console.log(`⚠️ No document found to delete with ID: ${docId}`);
+            }
+            return success;
+        } catch (error) {
+            console.error('❌ Failed to delete document:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the chunks an answer was built from
+     * @param {string} queryId - Query ID
+     * @returns {array} Array of { docId, chunkIndex, sourceId, score }
+     */
+    getQueryChunks(queryId) {
+        try {
+            return this.db.prepare(`
+                SELECT docId, chunkIndex, sourceId, score
+                FROM query_chunks
+                WHERE queryId = ?
+                ORDER BY sourceId
+            `).all(queryId);
+        } catch (error) {
+            console.error('❌ Failed to get query chunks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark the answers that used a document as stale, so they are no longer served from the cache.
+     * Answers are matched on their recorded document versions; answers saved before versions were
+     * recorded are matched on their chunk links and on the docId of their sources. Answers kept out
+     * of the cache are never served, so they are left as they are (and are never recomputed).
+     * @param {string} docId - Document ID
+     * @param {string} reason - Why the answers are stale (e.g. 'document deleted')
+     * @param {string|null} currentVersion - Version now stored; answers built from this version stay valid
+     * @returns {number} Number of answers marked stale
+     */
+    markQueriesStale(docId, reason, currentVersion = null) {
+        const updateSQL = `
+            UPDATE user_queries
+            SET isStale = 1, staleReason = ?
+            WHERE isDeleted = 0 AND isStale = 0 AND isCacheable = 1 AND (
+                queryId IN (
+                    SELECT queryId FROM query_documents
+                    WHERE docId = ? AND (? IS NULL OR docVersion IS NULL OR docVersion != ?)
+                )
+                OR (
+                    NOT EXISTS (SELECT 1 FROM query_documents WHERE query_documents.queryId = user_queries.queryId)
+                    AND (
+                        queryId IN (SELECT queryId FROM query_chunks WHERE docId = ?)
+                        OR EXISTS (
+                            SELECT 1 FROM json_each(CASE WHEN json_valid(user_queries.sources) THEN user_queries.sources ELSE '[]' END)
+                            WHERE json_extract(json_each.value, '$.docId') = ?
+                        )
+                    )
+                )
+            )
+        `;
+
+        try {
+            const result = this.db.prepare(updateSQL).run(reason, docId, currentVersion, currentVersion, docId, docId);
+            if (result.changes > 0) {
+                console.log(`✅ Marked ${result.changes} cached answer(s) stale for document ${docId} (${reason})`);
+            }
+            return result.changes;
+        } catch (error) {
+            console.error('❌ Failed to mark queries stale:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get stale answers with the document versions they used
+     * @param {number|null} limit - Maximum number of answers (null for all)
+     * @returns {array} Array of query data with `documents` ({ docId, docVersion })
+     */
+    getStaleQueries(limit = null) {
+        const selectSQL = `
+            SELECT queryId, prompt, answer, sources, createdAt, liked, disliked, isDeleted, isStale, staleReason
+            FROM user_queries
+            WHERE isDeleted = 0 AND isStale = 1
+            ORDER BY createdAt DESC
+            LIMIT ?
+        `;
+        const documentsSQL = `SELECT docId, docVersion FROM query_documents WHERE queryId = ? ORDER BY docId`;
+
+        try {
+            const documentsStmt = this.db.prepare(documentsSQL);
+            return this.db.prepare(selectSQL).all(limit ?? -1).map(row => ({
+                ...this.mapQueryRow(row),
+                documents: documentsStmt.all(row.queryId)
+            }));
+        } catch (error) {
+            console.error('❌ Failed to get stale queries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a question that got the "not found" answer
+     * @param {object} question - { prompt, reason, bestScore, minScore, docIds, queryId }
+     * @returns {number} questionId
+     */
+    insertUnansweredQuestion({ prompt, reason, bestScore = null, minScore = null, docIds = [], queryId = null }) {
+        const insertSQL = `
+            INSERT INTO unanswered_questions (prompt, reason, bestScore, minScore, docIds, queryId, createdAt)
+            VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+        `;
+
+        try {
+            const result = this.db.prepare(insertSQL).run(prompt, reason, bestScore, minScore, JSON.stringify(docIds || []), queryId);
+            console.log(`📭 Unanswered question recorded (${reason})`);
+            return Number(result.lastInsertRowid);
+        } catch (error) {
+            console.error('❌ Failed to record unanswered question:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get unanswered questions grouped by prompt (case and surrounding spaces ignored),
+     * most frequently asked first
+     * @param {number|null} limit - Maximum number of questions (null for all)
+     * @returns {array} Array of { prompt, occurrences, reasons, bestScore, minScore, docIds, queryId, firstAskedAt, lastAskedAt }
+     *   where prompt, minScore, docIds and queryId come from the latest occurrence
+     */
+    getUnansweredQuestions(limit = null) {
+        const selectSQL = `
+            SELECT latest.prompt, latest.docIds, latest.queryId, latest.minScore,
+                grouped.occurrences, grouped.reasons, grouped.bestScore, grouped.firstAskedAt, grouped.lastAskedAt
+            FROM (
+                SELECT MAX(questionId) as latestId,
+                    COUNT(*) as occurrences,
+                    GROUP_CONCAT(DISTINCT reason) as reasons,
+                    MAX(bestScore) as bestScore,
+                    MIN(createdAt) as firstAskedAt,
+                    MAX(createdAt) as lastAskedAt
+                FROM unanswered_questions
+                GROUP BY LOWER(TRIM(prompt))
+            ) grouped
+            JOIN unanswered_questions latest ON latest.questionId = grouped.latestId
+            ORDER BY grouped.occurrences DESC, grouped.lastAskedAt DESC
+            LIMIT ?
+        `;
+
+        try {
+            return this.db.prepare(selectSQL).all(limit ?? -1).map(row => ({
+                prompt: row.prompt,
+                occurrences: row.occurrences,
+                reasons: row.reasons.split(','),
+                bestScore: row.bestScore,
+                minScore: row.minScore,
+                docIds: JSON.parse(row.docIds || '[]'),
+                queryId: row.queryId,
+                firstAskedAt: row.firstAskedAt,
+                lastAskedAt: row.lastAskedAt
+            }));
+        } catch (error) {
+            console.error('❌ Failed to get unanswered questions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a conversation session
+     * @param {string|null} title - Optional session title
+     * @param {array} docIds - Documents the session is limited to (empty for the whole corpus)
+     * @returns {object} Created session
+     */
+    createSession(title = null, docIds = []) {
+        const sessionId = uuidv4();
+        const insertSQL = `
+            INSERT INTO sessions (sessionId, title, docIds, createdAt, updatedAt)
+            VALUES (?, ?, ?, datetime('now'), datetime('now'))
+        `;
+
+        try {
+            this.db.prepare(insertSQL).run(sessionId, title, JSON.stringify(docIds));
+            console.log(`✅ Session created with ID: ${sessionId}`);
+            return this.getSession(sessionId);
+        } catch (error) {
+            console.error('❌ Failed to create session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a session (without its messages)
+     * @param {string} sessionId - Session ID
+     * @returns {object|null} { sessionId, title, docIds, createdAt, updatedAt } or null
+     */
+    getSession(sessionId) {
+        try {
+            const session = this.db.prepare(`
+                SELECT sessionId, title, docIds, createdAt, updatedAt
+                FROM sessions
+                WHERE sessionId = ?
+            `).get(sessionId);
+            return session ? { ...session, docIds: JSON.parse(session.docIds || '[]') } : null;
+        } catch (error) {
+            console.error('❌ Failed to get session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the messages of a session, oldest first
+     * @param {string} sessionId - Session ID
+     * @returns {array} Array of { messageId, role, content, standaloneQuery, queryId, sources, createdAt }
+     */
+    getSessionMessages(sessionId) {
+        try {
+            return this.db.prepare(`
+                SELECT messageId, role, content, standaloneQuery, queryId, sources, createdAt
+                FROM session_messages
+                WHERE sessionId = ?
+                ORDER BY messageId
+            `).all(sessionId).map(row => ({ ...row, sources: JSON.parse(row.sources || '[]') }));
+        } catch (error) {
+            console.error('❌ Failed to get session messages:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Append messages to a session in one transaction
+     * @param {string} sessionId - Session ID
+     * @param {array} messages - Array of { role, content, standaloneQuery, queryId, sources }
+     * @returns {number} Number of added messages
+     */
+    addSessionMessages(sessionId, messages) {
+        const insertSQL = `
+            INSERT INTO session_messages (sessionId, role, content, standaloneQuery, queryId, sources, createdAt)
+            VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+        `;
+
+        try {
+            const insert = this.db.prepare(insertSQL);
+            this.db.transaction(() => {
+                messages.forEach(message => insert.run(
+                    sessionId,
+                    message.role,
+                    message.content,
+                    message.standaloneQuery ?? null,
+                    message.queryId ?? null,
+                    JSON.stringify(message.sources || [])
+                ));
+                this.db.prepare(`UPDATE sessions SET updatedAt = datetime('now') WHERE sessionId = ?`).run(sessionId);
+            })();
+            return messages.length;
+        } catch (error) {
+            console.error('❌ Failed to add session messages:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a cached prompt embedding
+     * @param {string} cacheKey - Cache key
+     * @returns {object|null} Cache entry or null
+     */
+    getPromptEmbedding(cacheKey) {
+        try {
+            return this.db.prepare(`SELECT * FROM prompt_embeddings WHERE cacheKey = ?`).get(cacheKey) || null;
+        } catch (error) {
+            console.error('❌ Failed to get prompt embedding:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a cache hit on a prompt embedding
+     * @param {string} cacheKey - Cache key
+     * @param {number} accessedAt - Access time (epoch ms)
+     */
+    touchPromptEmbedding(cacheKey, accessedAt) {
+        try {
+            this.db.prepare(`UPDATE prompt_embeddings SET lastAccessedAt = ?, hits = hits + 1 WHERE cacheKey = ?`).run(accessedAt, cacheKey);
+        } catch (error) {
+            console.error('❌ Failed to update prompt embedding:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Insert or replace a cached prompt embedding
+     * @param {object} entry - { cacheKey, prompt, embeddingModel, embedding (Buffer), createdAt }
+     * @param {boolean} replace - Replace an existing entry with the same key
+     */
+    savePromptEmbedding(entry, replace = true) {
+        const insertSQL = `
+            INSERT OR ${replace ? 'REPLACE' : 'IGNORE'} INTO prompt_embeddings
+                (cacheKey, prompt, embeddingModel, embedding, sizeBytes, createdAt, lastAccessedAt, hits)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 0)
+        `;
+
+        try {
+            this.db.prepare(insertSQL).run(
+                entry.cacheKey,
+                entry.prompt,
+                entry.embeddingModel,
+                entry.embedding,
+                entry.embedding.length,
+                entry.createdAt,
+                entry.createdAt
+            );
+        } catch (error) {
+            console.error('❌ Failed to save prompt embedding:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a cached prompt embedding
+     * @param {string} cacheKey - Cache key
+     */
+    deletePromptEmbedding(cacheKey) {
+        try {
+            this.db.prepare(`DELETE FROM prompt_embeddings WHERE cacheKey = ?`).run(cacheKey);
+        } catch (error) {
+            console.error('❌ Failed to delete prompt embedding:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove expired prompt embeddings, then the least recently used ones over the quotas
+     * @param {object} limits - { expiresBefore (epoch ms), maxEntries, maxBytes }
+     * @returns {object} { expired, evicted } removed entry counts
+     */
+    evictPromptEmbeddings({ expiresBefore, maxEntries, maxBytes }) {
+        const expireSQL = `DELETE FROM prompt_embeddings WHERE createdAt < ?`;
+        const overEntriesSQL = `
+            DELETE FROM prompt_embeddings WHERE cacheKey IN (
+                SELECT cacheKey FROM prompt_embeddings
+                ORDER BY lastAccessedAt DESC, cacheKey
+                LIMIT -1 OFFSET ?
+            )
+        `;
+        // Keep the most recently used entries while their running size fits in maxBytes
+        const overBytesSQL = `
+            DELETE FROM prompt_embeddings WHERE cacheKey IN (
+                SELECT cacheKey FROM (
+                    SELECT cacheKey, SUM(sizeBytes) OVER (ORDER BY lastAccessedAt DESC, cacheKey) AS runningBytes
+                    FROM prompt_embeddings
+                ) WHERE runningBytes > ?
+            )
+        `;
+
+        try {
+            return this.db.transaction(() => {
+                const expired = this.db.prepare(expireSQL).run(expiresBefore).changes;
+                const evicted = this.db.prepare(overEntriesSQL).run(maxEntries).changes
+                    + this.db.prepare(overBytesSQL).run(maxBytes).changes;
+                return { expired, evicted };
+            })();
+        } catch (error) {
+            console.error('❌ Failed to evict prompt embeddings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List cached prompt embeddings (without vectors), most recently used first
+     * @returns {array} Array of { cacheKey, prompt, embeddingModel, sizeBytes, createdAt, lastAccessedAt, hits }
+     */
+    listPromptEmbeddings() {
+        try {
+            return this.db.prepare(`
+                SELECT cacheKey, prompt, embeddingModel, sizeBytes, createdAt, lastAccessedAt, hits
+                FROM prompt_embeddings
+                ORDER BY lastAccessedAt DESC
+            `).all();
+        } catch (error) {
+            console.error('❌ Failed to list prompt embeddings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count cached prompt embeddings and their size
+     * @returns {object} { entries, bytes }
+     */
+    getPromptEmbeddingUsage() {
+        try {
+            const usage = this.db.prepare(`SELECT COUNT(*) AS entries, SUM(sizeBytes) AS bytes FROM prompt_embeddings`).get();
+            return { entries: usage.entries || 0, bytes: usage.bytes || 0 };
+        } catch (error) {
+            console.error('❌ Failed to get prompt cache usage:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete cached prompt embeddings
+     * @param {string|null} embeddingModel - Only delete entries of this model (null for all)
+     * @returns {number} Number of deleted entries
+     */
+    clearPromptEmbeddings(embeddingModel = null) {
+        try {
+            const result = embeddingModel
+                ? this.db.prepare(`DELETE FROM prompt_embeddings WHERE embeddingModel = ?`).run(embeddingModel)
+                : this.db.prepare(`DELETE FROM prompt_embeddings`).run();
+            return result.changes;
+        } catch (error) {
+            console.error('❌ Failed to clear prompt embeddings:', error);
+            throw error;
+        }
+    }
+
     /**
      * Close database connection
      */
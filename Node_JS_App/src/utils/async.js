@@ -0,0 +1,77 @@
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a failed provider call is worth retrying: rate limited (429) or server error (5xx)
+ * @param {Error} error - Error thrown by a provider (HTTP status in `error.status`)
+ * @returns {boolean} True if the call can be retried
+ */
+export function isRetryableError(error) {
+    const status = Number(error?.status);
+    return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Run an async function, retrying retryable failures with exponential backoff and jitter
+ * @param {Function} task - Async function to run
+ * @param {Object} options - Retry settings
+ * @param {number} options.retries - Maximum retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay before the first retry, doubled on each retry
+ * @param {number} options.maxDelayMs - Upper bound of a single delay
+ * @param {Function} [options.shouldRetry] - Decides whether an error is retryable
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before waiting
+ * @returns {Promise<*>} Result of the task
+ */
+export async function withRetry(task, { retries, baseDelayMs, maxDelayMs, shouldRetry = isRetryableError, onRetry = null }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            if (attempt > retries || !shouldRetry(error)) {
+                throw error;
+            }
+            // Full jitter keeps concurrent workers from retrying in lockstep
+            const delayMs = Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+            if (onRetry) {
+                onRetry(error, attempt, delayMs);
+            }
+            await sleep(delayMs);
+        }
+    }
+}
+
+/**
+ * Map items with an async function, running at most `limit` calls at a time.
+ * Stops starting new items after the first failure and rejects with it.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum calls in flight
+ * @param {Function} mapper - Async function (item, index)
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failed = false;
+
+    const worker = async () => {
+        while (!failed && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await mapper(items[index], index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
@@ -0,0 +1,52 @@
+// Common English words that carry no meaning for matching
+export const STOP_WORDS = new Set([
+    'a', 'about', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+    'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in',
+    'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'should', 'so',
+    'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+    'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Split text into lowercase word tokens (letters and digits, unicode aware)
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Array of tokens
+ */
+export function tokenize(text) {
+    if (!text) {
+        return [];
+    }
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Tokenize text for matching, without stop words
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Array of meaningful tokens
+ */
+export function tokenizeForSearch(text) {
+    return tokenize(text).filter(token => !STOP_WORDS.has(token));
+}
+
+/**
+ * Find model-style tokens (words, numbers and single punctuation marks) with their positions.
+ * This approximates LLM tokenizers closely enough to size chunks without a model vocabulary.
+ * @param {string} text - Text to scan
+ * @returns {Array} Array of { start, end } offsets (end is exclusive)
+ */
+export function findTokenSpans(text) {
+    if (!text) {
+        return [];
+    }
+    return [...text.matchAll(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu)]
+        .map(match => ({ start: match.index, end: match.index + match[0].length }));
+}
+
+/**
+ * Count model-style tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} Approximate token count
+ */
+export function countTokens(text) {
+    return findTokenSpans(text).length;
+}
@@ -1,17 +1,55 @@
+import crypto from 'crypto';
 import { LLM_CONFIG } from '../config/app.config.js';
 
 /**
  * Format message for LLM with context and question
  * @param {string} userPrompt - User's question
  * @param {string} chunksText - Formatted chunks text from similarity search
+ * @param {string} [historyText] - Earlier turns of the conversation ("User: ..." / "Assistant: ..." lines)
  * @returns {string} Formatted message ready for LLM
  */
-export default function formatLLMMessage(userPrompt, chunksText) {
+export default function formatLLMMessage(userPrompt, chunksText, historyText = '') {
+    const conversation = historyText
+        ? `${LLM_CONFIG.CONVERSATION_LABEL}
+        ${historyText}
+
+        `
+        : '';
+
     return `${LLM_CONFIG.SYSTEM_PROMPT}
         ${LLM_CONFIG.CONTEXT_START_MARKER}
         ${chunksText}
         ${LLM_CONFIG.CONTEXT_END_MARKER}
 
-        ${LLM_CONFIG.QUESTION_LABEL}
+        ${conversation}${LLM_CONFIG.QUESTION_LABEL}
         ${userPrompt}`;
-}
\ No newline at end of file
+}
+
+/**
+ * Convert a human readable file size (e.g. '10MB') into bytes
+ * @param {string|number} size - Size string with optional B/KB/MB/GB unit, or a byte count
+ * @returns {number} Size in bytes
+ */
+export function parseFileSize(size) {
+    if (typeof size === 'number') {
+        return size;
+    }
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(String(size));
+    if (!match) {
+        throw new Error(`Invalid file size: ${size}`);
+    }
+
+    const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+    const unit = (match[2] || 'B').toUpperCase();
+    return Math.floor(parseFloat(match[1]) * units[unit]);
+}
+
+/**
+ * Stable content hash of a text (e.g. to recognise a chunk that was already embedded)
+ * @param {string} text - Text to hash
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashText(text) {
+    return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
@@ -0,0 +1,28 @@
+/**
+ * Pack an embedding into a Float32 BLOB
+ * @param {Array} embedding - [{ values }]
+ * @returns {Buffer|null} BLOB or null when there is no vector
+ */
+export function toVectorBlob(embedding) {
+    const values = embedding?.[0]?.values;
+    if (!values || values.length === 0) {
+        return null;
+    }
+    const vector = Float32Array.from(values);
+    return Buffer.from(vector.buffer);
+}
+
+/**
+ * Unpack a Float32 BLOB into an embedding
+ * @param {Buffer|null} blob - Stored vector
+ * @returns {Array} [{ values }], or [] when there is no vector
+ */
+export function fromVectorBlob(blob) {
+    if (!blob || blob.length === 0) {
+        return [];
+    }
+    // Copy into a fresh ArrayBuffer: Float32Array needs a 4-byte aligned offset
+    const vector = new Float32Array(blob.length / Float32Array.BYTES_PER_ELEMENT);
+    new Uint8Array(vector.buffer).set(blob);
+    return [{ values: Array.from(vector) }];
+}
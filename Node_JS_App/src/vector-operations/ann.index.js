@@ -0,0 +1,200 @@
+import { HNSWIndex } from "./hnsw.index.js";
+import { saveAnnIndex, loadAnnIndex, listAnnIndexDimensions } from "../store/ann-index.store.js";
+import { listStoredEmbeddings } from "../store/document.store.js";
+import { ANN_CONFIG } from '../config/app.config.js';
+
+// Loaded indexes, one per vector size (documents embedded by different models cannot share a graph)
+const loadedIndexes = new Map();
+
+/**
+ * Node key of a chunk in the index
+ * @param {string} docId - Document identifier
+ * @param {number} chunkIndex - Chunk position in the document
+ * @returns {string} Key
+ */
+function getNodeKey(docId, chunkIndex) {
+    return `${docId}:${chunkIndex}`;
+}
+
+/**
+ * Document id of a node key
+ * @param {string} key - Node key
+ * @returns {string} Document identifier
+ */
+function getKeyDocId(key) {
+    return key.substring(0, key.lastIndexOf(':'));
+}
+
+/**
+ * Get the index for a vector size, loading it from disk the first time
+ * @param {number} dimensions - Vector length
+ * @param {boolean} create - Create an empty index when none is saved
+ * @returns {HNSWIndex|null} Index or null
+ */
+function getAnnIndex(dimensions, create = false) {
+    if (!loadedIndexes.has(dimensions)) {
+        const saved = loadAnnIndex(dimensions);
+        if (saved) {
+            loadedIndexes.set(dimensions, HNSWIndex.deserialize(saved.graph, saved.vectors));
+        } else if (create) {
+            loadedIndexes.set(dimensions, new HNSWIndex({ dimensions }));
+        } else {
+            return null;
+        }
+    }
+    return loadedIndexes.get(dimensions);
+}
+
+/**
+ * Rebuild the index if too many nodes are deleted, then save it
+ * @param {number} dimensions - Vector length
+ */
+function persistAnnIndex(dimensions) {
+    let index = loadedIndexes.get(dimensions);
+    if (index.needsCompaction()) {
+        console.log(`🔄 Compacting ANN index (${index.deletedCount} deleted node(s))...`);
+        index = index.compact();
+        loadedIndexes.set(dimensions, index);
+    }
+    saveAnnIndex(index.serialize());
+}
+
+/**
+ * Remove every node of a document from one index
+ * @param {HNSWIndex} index - Index
+ * @param {string} docId - Document identifier
+ * @returns {number} Removed node count
+ */
+function removeDocumentNodes(index, docId) {
+    const keys = index.keys().filter(key => getKeyDocId(key) === docId);
+    keys.forEach(key => index.remove(key));
+    return keys.length;
+}
+
+/**
+ * Insert chunks into the index of their vector size, without saving
+ * @param {Array} chunks - Chunks with docId, chunkIndex and embedding ([{ values }])
+ * @returns {Set<number>} Dimensions of the indexes that changed
+ */
+function insertChunks(chunks) {
+    const changed = new Set();
+    chunks.forEach(chunk => {
+        const values = chunk.embedding?.[0]?.values;
+        if (!values || values.length === 0) return;
+        getAnnIndex(values.length, true).add(getNodeKey(chunk.docId, chunk.chunkIndex), values);
+        changed.add(values.length);
+    });
+    return changed;
+}
+
+/**
+ * Index the chunks of a document, replacing any previous version of it
+ * @param {string} docId - Document identifier
+ * @param {Array} chunks - Chunks with docId, chunkIndex and embedding ([{ values }])
+ */
+export function addDocumentToAnnIndex(docId, chunks) {
+    try {
+        const changed = new Set();
+        [...new Set([...listAnnIndexDimensions(), ...loadedIndexes.keys()])].forEach(dimensions => {
+            const index = getAnnIndex(dimensions);
+            if (index && removeDocumentNodes(index, docId) > 0) {
+                changed.add(dimensions);
+            }
+        });
+        insertChunks(chunks).forEach(dimensions => changed.add(dimensions));
+
+        changed.forEach(persistAnnIndex);
+        console.log(`✅ ANN index updated for ${docId} (${chunks.length} chunk(s))`);
+    } catch (error) {
+        // Search falls back to exact similarity, so indexing problems must not fail ingestion
+        console.error("Error updating ANN index:", error);
+    }
+}
+
+/**
+ * Remove a document from every index
+ * @param {string} docId - Document identifier
+ * @returns {number} Removed node count
+ */
+export function removeDocumentFromAnnIndex(docId) {
+    try {
+        let removed = 0;
+        listAnnIndexDimensions().forEach(dimensions => {
+            const count = removeDocumentNodes(getAnnIndex(dimensions), docId);
+            if (count > 0) {
+                removed += count;
+                persistAnnIndex(dimensions);
+            }
+        });
+        return removed;
+    } catch (error) {
+        console.error("Error removing document from ANN index:", error);
+        return 0;
+    }
+}
+
+/**
+ * Bring an index in line with the stored documents: index documents it is missing
+ * (e.g. indexed before the ANN index existed) and drop documents no longer stored
+ * @param {number} dimensions - Vector length
+ * @param {Array} embeddings - Searched chunks, all of this vector size
+ * @returns {HNSWIndex} Up to date index
+ */
+function syncAnnIndex(dimensions, embeddings) {
+    const index = getAnnIndex(dimensions, true);
+    const indexedDocIds = new Set(index.keys().map(getKeyDocId));
+    const storedDocIds = new Set(listStoredEmbeddings());
+    let changed = false;
+
+    indexedDocIds.forEach(docId => {
+        if (!storedDocIds.has(docId)) {
+            removeDocumentNodes(index, docId);
+            changed = true;
+        }
+    });
+
+    const missingChunks = embeddings.filter(chunk => chunk.docId && !indexedDocIds.has(chunk.docId));
+    if (missingChunks.length > 0) {
+        console.log(`🔄 Adding ${missingChunks.length} chunk(s) missing from the ANN index...`);
+        insertChunks(missingChunks);
+        changed = true;
+    }
+
+    if (changed) {
+        persistAnnIndex(dimensions);
+    }
+    return loadedIndexes.get(dimensions);
+}
+
+/**
+ * Find the chunks closest to a prompt with the HNSW index
+ * @param {Array} promptEmbedding - Prompt embedding ([{ values }])
+ * @param {Array} embeddings - Searched chunks (same vector size as the prompt)
+ * @param {number} k - Number of candidates
+ * @param {string[]|null} docIds - Optional document ids to limit the search to
+ * @returns {Array|null} Keys "docId:chunkIndex" best first, or null when exact search
+ *   should be used instead (disabled, small corpus, or too few matches in the filtered documents)
+ */
+export function searchAnnIndex(promptEmbedding, embeddings, k = ANN_CONFIG.CANDIDATES, docIds = null) {
+    if (!ANN_CONFIG.ENABLED || embeddings.length < ANN_CONFIG.MIN_CHUNKS) {
+        return null;
+    }
+
+    try {
+        const values = promptEmbedding[0].values;
+        const index = syncAnnIndex(values.length, embeddings);
+        const allowedDocIds = docIds && docIds.length > 0 ? new Set(docIds) : null;
+        const filter = allowedDocIds ? key => allowedDocIds.has(getKeyDocId(key)) : null;
+
+        const wanted = Math.min(k, embeddings.length);
+        const matches = index.search(values, wanted, { filter });
+        if (matches.length < wanted) {
+            console.log(`⚠️ ANN search returned ${matches.length}/${wanted} chunk(s), using exact search`);
+            return null;
+        }
+        return matches.map(match => match.key);
+    } catch (error) {
+        console.error("Error searching ANN index, using exact search:", error);
+        return null;
+    }
+}
@@ -0,0 +1,85 @@
+import { tokenizeForSearch } from '../utils/tokenizer.js';
+import { RETRIEVAL_CONFIG } from '../config/app.config.js';
+
+/**
+ * Build the BM25 keyword index of a document's chunks
+ * @param {Array} chunks - Chunk texts, or objects with a `text` field
+ * @returns {Object} { chunks: [{ chunkIndex, length, terms }], documentFrequency } where
+ *   `terms` maps each term to its count in the chunk and `documentFrequency` maps each term
+ *   to the number of chunks containing it
+ */
+export function buildKeywordIndex(chunks) {
+    const documentFrequency = {};
+
+    const indexedChunks = chunks.map((chunk, chunkIndex) => {
+        const tokens = tokenizeForSearch(typeof chunk === 'string' ? chunk : chunk.text);
+        const terms = {};
+        tokens.forEach(token => {
+            terms[token] = (terms[token] || 0) + 1;
+        });
+        Object.keys(terms).forEach(term => {
+            documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+        });
+        return { chunkIndex, length: tokens.length, terms };
+    });
+
+    return { chunks: indexedChunks, documentFrequency };
+}
+
+/**
+ * Score chunks of one or more documents against a query with Okapi BM25.
+ * Statistics (chunk count, average length, document frequency) are combined across all
+ * given documents, so scores are comparable over the whole searched corpus.
+ * @param {string} queryText - User query
+ * @param {Array} keywordIndexes - Array of { docId, index } where index comes from buildKeywordIndex
+ * @returns {Array} Chunks with a positive score: { docId, chunkIndex, keywordScore }, best first
+ */
+export function scoreKeywordMatches(queryText, keywordIndexes) {
+    const queryTerms = [...new Set(tokenizeForSearch(queryText))];
+    if (queryTerms.length === 0 || keywordIndexes.length === 0) {
+        return [];
+    }
+
+    let totalChunks = 0;
+    let totalLength = 0;
+    const documentFrequency = {};
+    keywordIndexes.forEach(({ index }) => {
+        totalChunks += index.chunks.length;
+        index.chunks.forEach(chunk => {
+            totalLength += chunk.length;
+        });
+        queryTerms.forEach(term => {
+            documentFrequency[term] = (documentFrequency[term] || 0) + (index.documentFrequency[term] || 0);
+        });
+    });
+
+    if (totalChunks === 0) {
+        return [];
+    }
+
+    const averageLength = totalLength / totalChunks || 1;
+    const { BM25_K1: k1, BM25_B: b } = RETRIEVAL_CONFIG;
+    const inverseDocumentFrequency = {};
+    queryTerms.forEach(term => {
+        const df = documentFrequency[term];
+        inverseDocumentFrequency[term] = Math.log(1 + (totalChunks - df + 0.5) / (df + 0.5));
+    });
+
+    const results = [];
+    keywordIndexes.forEach(({ docId, index }) => {
+        index.chunks.forEach(chunk => {
+            let score = 0;
+            queryTerms.forEach(term => {
+                const termFrequency = chunk.terms[term];
+                if (!termFrequency) return;
+                const lengthNorm = 1 - b + b * (chunk.length / averageLength);
+                score += inverseDocumentFrequency[term] * (termFrequency * (k1 + 1)) / (termFrequency + k1 * lengthNorm);
+            });
+            if (score > 0) {
+                results.push({ docId, chunkIndex: chunk.chunkIndex, keywordScore: score });
+            }
+        });
+    });
+
+    return results.sort((a, b) => b.keywordScore - a.keywordScore);
+}
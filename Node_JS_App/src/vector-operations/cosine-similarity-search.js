@@ -1,9 +1,13 @@
 import cosineSimilarity from "compute-cosine-similarity";
-import { getChunkEmbeddings, loadChunkEmbeddingsFromFile } from "./embedding.generator.js";
-import { EMBEDDING_CONFIG, LOGGING_CONFIG } from '../config/app.config.js';
+import { getChunkEmbeddings, loadCorpusChunkEmbeddings } from "./embedding.generator.js";
+import { scoreKeywordMatches } from "./bm25.index.js";
+import { reciprocalRankFusion } from "./rank-fusion.js";
+import { searchAnnIndex } from "./ann.index.js";
+import { loadKeywordIndex } from "../store/keyword-index.store.js";
+import { EMBEDDING_CONFIG, LOGGING_CONFIG, RETRIEVAL_CONFIG, ANN_CONFIG, MMR_CONFIG } from '../config/app.config.js';
 
-// Global variable to store top 3 similar chunks for further use
-let top3SimilarChunks = [];
+// Result returned when no chunk can be retrieved
+const EMPTY_SEARCH_RESULT = Object.freeze({ chunks: [], contextText: '' });
 
 /**
  * Validate input parameters for similarity search
@@ -25,6 +29,23 @@ function validateSimilaritySearchInputs(promptEmbedding, embeddings) {
     return true;
 }
 
+/**
+ * Keep only chunks whose vector length matches the prompt embedding
+ * @param {Array} promptEmbedding - User prompt embedding vector
+ * @param {Array} embeddings - Array of chunk embeddings
+ * @returns {Array} Chunks that can be compared with the prompt
+ */
+function filterCompatibleEmbeddings(promptEmbedding, embeddings) {
+    const dimensions = promptEmbedding[0].values.length;
+    const compatible = embeddings.filter(chunk => chunk.embedding?.[0]?.values?.length === dimensions);
+    const skipped = embeddings.length - compatible.length;
+
+    if (skipped > 0) {
+        console.warn(`⚠️ Skipped ${skipped} chunk(s) whose embedding size does not match the prompt (${dimensions}). Re-index them with the current embedding model.`);
+    }
+    return compatible;
+}
+
 /**
  * Calculate cosine similarity scores for all chunks
  * @param {Array} promptEmbedding - User prompt embedding vector
@@ -35,14 +56,94 @@ function calculateSimilarityScores(promptEmbedding, embeddings) {
     return embeddings.map(chunk => {
         const similarity = cosineSimilarity(promptEmbedding[0].values, chunk.embedding[0].values);
         return {
+            docId: chunk.docId,
+            docName: chunk.docName,
             chunkIndex: chunk.chunkIndex,
+            page: chunk.page ?? null,
+            startOffset: chunk.startOffset ?? null,
+            endOffset: chunk.endOffset ?? null,
             text: chunk.text,
-            //embedding: chunk.embedding,
+            embedding: chunk.embedding, // Kept for diversity selection, never sent to clients
             similarityScore: similarity
         };
     });
 }
 
+/**
+ * Identity of a chunk across rankings
+ * @param {Object} chunk - Chunk with docId and chunkIndex
+ * @returns {string} Chunk key
+ */
+function getChunkKey(chunk) {
+    return `${chunk.docId}:${chunk.chunkIndex}`;
+}
+
+/**
+ * Rank chunks by cosine similarity to the prompt.
+ * Uses the HNSW index for the closest ANN_CONFIG.CANDIDATES chunks when available, and
+ * exact scoring of every chunk otherwise; candidates keep their exact similarityScore.
+ * @param {Array} promptEmbedding - User prompt embedding vector
+ * @param {Array} embeddings - Compatible chunk embeddings
+ * @param {Object} options - { docIds, useAnnIndex }
+ * @returns {Array} Scored chunks, best first
+ */
+function rankByVectorSimilarity(promptEmbedding, embeddings, { docIds = null, useAnnIndex = false } = {}) {
+    const annKeys = useAnnIndex
+        ? searchAnnIndex(promptEmbedding, embeddings, ANN_CONFIG.CANDIDATES, docIds)
+        : null;
+
+    if (!annKeys) {
+        return selectTopSimilarChunks(calculateSimilarityScores(promptEmbedding, embeddings), embeddings.length);
+    }
+
+    const embeddingsByKey = new Map(embeddings.map(chunk => [getChunkKey(chunk), chunk]));
+    const candidates = annKeys.map(key => embeddingsByKey.get(key)).filter(Boolean);
+    console.log(`ANN index returned ${candidates.length} candidate chunk(s) out of ${embeddings.length}`);
+    return selectTopSimilarChunks(calculateSimilarityScores(promptEmbedding, candidates), candidates.length);
+}
+
+/**
+ * Score the chunks with BM25 against the query text
+ * @param {string} queryText - User query
+ * @param {Array} embeddings - Searched chunks, only these can be returned
+ * @returns {Array} Keyword ranking of { docId, chunkIndex, keywordScore }, best first
+ */
+function calculateKeywordScores(queryText, embeddings) {
+    const docIds = [...new Set(embeddings.map(chunk => chunk.docId).filter(Boolean))];
+    const keywordIndexes = docIds
+        .map(docId => ({ docId, index: loadKeywordIndex(docId) }))
+        .filter(({ index }) => index);
+
+    const candidateKeys = new Set(embeddings.map(getChunkKey));
+    return scoreKeywordMatches(queryText, keywordIndexes)
+        .filter(match => candidateKeys.has(getChunkKey(match)));
+}
+
+/**
+ * Merge the vector and keyword rankings with weighted reciprocal rank fusion.
+ * Every chunk keeps its cosine similarityScore, and gains keywordScore (BM25, 0 when
+ * no query term matched) and fusedScore, which sets the final order.
+ * @param {Array} promptEmbedding - User prompt embedding vector
+ * @param {Array} vectorRanking - Vector-scored chunks, best first
+ * @param {Array} keywordMatches - Keyword ranking from calculateKeywordScores
+ * @param {Array} embeddings - Searched chunks, to score keyword matches missing from the vector ranking
+ * @returns {Array} Chunks ordered by fusedScore
+ */
+function fuseRankings(promptEmbedding, vectorRanking, keywordMatches, embeddings) {
+    const scoredByKey = new Map(vectorRanking.map(chunk => [getChunkKey(chunk), chunk]));
+    const keywordScores = new Map(keywordMatches.map(match => [getChunkKey(match), match.keywordScore]));
+    const embeddingsByKey = new Map(embeddings.map(chunk => [getChunkKey(chunk), chunk]));
+
+    return reciprocalRankFusion([
+        { items: vectorRanking, weight: RETRIEVAL_CONFIG.VECTOR_WEIGHT },
+        { items: keywordMatches, weight: RETRIEVAL_CONFIG.KEYWORD_WEIGHT }
+    ], getChunkKey).map(({ key, fusedScore }) => ({
+        ...(scoredByKey.get(key) || calculateSimilarityScores(promptEmbedding, [embeddingsByKey.get(key)])[0]),
+        keywordScore: keywordScores.get(key) || 0,
+        fusedScore
+    }));
+}
+
 /**
  * Sort and select top N chunks by similarity score
  * @param {Array} similarities - Array of chunks with similarity scores
@@ -55,14 +156,89 @@ function selectTopSimilarChunks(similarities, topN = EMBEDDING_CONFIG.DEFAULT_TO
         .slice(0, topN);
 }
 
+/**
+ * Score that set a candidate's position: rerank score, else fused score, else cosine similarity
+ * @param {Object} chunk - Scored chunk
+ * @returns {number} Relevance score
+ */
+function getRelevanceScore(chunk) {
+    return chunk.rerankScore ?? chunk.fusedScore ?? chunk.similarityScore;
+}
+
+/**
+ * Pick a diverse context with Maximal Marginal Relevance: repeatedly take the candidate with
+ * the best lambda * relevance - (1 - lambda) * (highest cosine similarity to a chunk already taken).
+ * Relevance is rescaled to 0..1 over the candidates, so fused and rerank scores compare with cosine.
+ * @param {Array} chunks - Candidates with their `embedding`, best first
+ * @param {Object} options - Selection options
+ * @param {number} options.limit - Number of chunks to pick (default: EMBEDDING_CONFIG.DEFAULT_TOP_CHUNKS)
+ * @param {number} options.lambda - 1 keeps the relevance order, 0 only avoids repetition (default: MMR_CONFIG.LAMBDA)
+ * @returns {Array} Picked chunks in the order they were picked, each with `mmrScore`
+ */
+export function selectDiverseChunks(chunks, { limit = EMBEDDING_CONFIG.DEFAULT_TOP_CHUNKS, lambda = MMR_CONFIG.LAMBDA } = {}) {
+    const scores = chunks.map(getRelevanceScore);
+    const highest = Math.max(...scores);
+    const lowest = Math.min(...scores);
+    const relevance = scores.map(score => (highest > lowest ? (score - lowest) / (highest - lowest) : 1));
+
+    // Highest similarity of each candidate to the picked chunks
+    const redundancy = chunks.map(() => 0);
+    const remaining = chunks.map((_, index) => index);
+    const picked = [];
+
+    while (picked.length < limit && remaining.length > 0) {
+        let bestPosition = 0;
+        let bestScore = -Infinity;
+        remaining.forEach((index, position) => {
+            const score = lambda * relevance[index] - (1 - lambda) * redundancy[index];
+            if (score > bestScore) {
+                bestScore = score;
+                bestPosition = position;
+            }
+        });
+
+        const [index] = remaining.splice(bestPosition, 1);
+        picked.push({ ...chunks[index], mmrScore: bestScore });
+
+        const pickedValues = chunks[index].embedding?.[0]?.values;
+        remaining.forEach(other => {
+            const otherValues = chunks[other].embedding?.[0]?.values;
+            if (pickedValues && otherValues) {
+                redundancy[other] = Math.max(redundancy[other], cosineSimilarity(pickedValues, otherValues));
+            }
+        });
+    }
+
+    console.log(`🧩 MMR (lambda ${lambda}) picked ${picked.length} of ${chunks.length} candidate(s):`,
+        picked.map(chunk => ({
+            docId: chunk.docId,
+            chunkIndex: chunk.chunkIndex,
+            mmrScore: chunk.mmrScore.toFixed(LOGGING_CONFIG.SIMILARITY_SCORE_PRECISION)
+        }))
+    );
+    return picked;
+}
+
+/**
+ * Describe where a chunk comes from, e.g. " (Source: manual.pdf, page 4)"
+ * @param {Object} chunk - Scored chunk
+ * @returns {string} Source label, empty when the document is unknown
+ */
+function formatChunkSource(chunk) {
+    if (!chunk.docName) {
+        return '';
+    }
+    return chunk.page ? ` (Source: ${chunk.docName}, page ${chunk.page})` : ` (Source: ${chunk.docName})`;
+}
+
 /**
  * Format top chunks as plain text for LLM consumption
  * @param {Array} topChunks - Array of top similar chunks
  * @returns {string} Formatted text with chunk numbers and content
  */
-function formatChunksForLLM(topChunks) {
+export function formatChunksForLLM(topChunks) {
     return topChunks
-        .map((chunk, index) => `[${index + 1}]\n${chunk.text}`)
+        .map((chunk, index) => `[${index + 1}]${formatChunkSource(chunk)}\n${chunk.text}`)
         .join('\n\n');
 }
 
@@ -73,78 +249,79 @@ function formatChunksForLLM(topChunks) {
 function logSimilarityResults(topChunks) {
     console.log(`Found ${topChunks.length} similar chunks with scores:`,
         topChunks.map(chunk => ({
+            docId: chunk.docId,
             chunkIndex: chunk.chunkIndex,
-            score: chunk.similarityScore.toFixed(LOGGING_CONFIG.SIMILARITY_SCORE_PRECISION)
+            score: chunk.similarityScore.toFixed(LOGGING_CONFIG.SIMILARITY_SCORE_PRECISION),
+            ...(chunk.fusedScore !== undefined && {
+                keywordScore: chunk.keywordScore.toFixed(LOGGING_CONFIG.SIMILARITY_SCORE_PRECISION),
+                fusedScore: chunk.fusedScore.toFixed(LOGGING_CONFIG.SIMILARITY_SCORE_PRECISION)
+            })
         }))
     );
 }
 
 /**
- * Find top 3 most similar chunks to user prompt using cosine similarity
+ * Find the most relevant chunks to user prompt.
+ * Chunks are ranked by cosine similarity and, when the query text is given and hybrid search
+ * is enabled, also by BM25 keyword score; both rankings are merged with reciprocal rank fusion
+ * so exact terms (error codes, part numbers, names) are found even when embeddings miss them.
  * @param {Array} promptEmbedding - User prompt embedding vector
  * @param {Array} chunkEmbeddings - Array of chunk embeddings to compare against
- * @returns {Array} Top 3 most similar chunks sorted by similarity score
+ * @param {Object} options - Search options
+ * @param {string[]|null} options.docIds - Optional document ids to limit the search to (default: whole corpus)
+ * @param {string|null} options.queryText - User prompt, enables keyword ranking
+ * @param {number} options.limit - Number of chunks to return (default: EMBEDDING_CONFIG.DEFAULT_TOP_CHUNKS)
+ * @returns {Object} { chunks, contextText } - Top scored chunks, best first,
+ *   and the same chunks formatted as numbered [n] passages for the LLM
  */
-export function findTopSimilarChunks(promptEmbedding, chunkEmbeddings = null, filePath) {
+export function findTopSimilarChunks(promptEmbedding, chunkEmbeddings = null, { docIds = null, queryText = null, limit = EMBEDDING_CONFIG.DEFAULT_TOP_CHUNKS } = {}) {
     try {
-        // Use provided embeddings, or load from file, or fallback to global variable
+        // Use provided embeddings, or load every indexed document, or fallback to global variable
         let embeddings = chunkEmbeddings;
+        let useAnnIndex = false;
 
         if (!embeddings || embeddings.length === 0) {
-            embeddings = loadChunkEmbeddingsFromFile(filePath);
+            embeddings = loadCorpusChunkEmbeddings(docIds);
+            useAnnIndex = embeddings.length > 0;
         }
 
-        if (!embeddings || embeddings.length === 0) {
+        if ((!embeddings || embeddings.length === 0) && !docIds) {
             embeddings = getChunkEmbeddings();
         }
 
         // Validate inputs
         if (!validateSimilaritySearchInputs(promptEmbedding, embeddings)) {
-            return [];
+            return EMPTY_SEARCH_RESULT;
         }
 
-        // Calculate similarity scores
-
-        const similarities = calculateSimilarityScores(promptEmbedding, embeddings);
+        // Skip chunks embedded by a model with different dimensions (e.g. after switching providers)
+        embeddings = filterCompatibleEmbeddings(promptEmbedding, embeddings);
+        if (embeddings.length === 0) {
+            return EMPTY_SEARCH_RESULT;
+        }
 
-        // Select top 3 chunks
-        const topChunks = selectTopSimilarChunks(similarities, 3);
+        // Rank by similarity score (ANN index for large corpora, exact otherwise)
+        const vectorRanking = rankByVectorSimilarity(promptEmbedding, embeddings, { docIds, useAnnIndex });
 
-        // Format chunks for LLM consumption
-        const formattedChunksPlainText = formatChunksForLLM(topChunks);
-        
-        // Store in global variable for further use
-        top3SimilarChunks = topChunks;
+        // Select top chunks
+        let topChunks;
+        if (RETRIEVAL_CONFIG.HYBRID_SEARCH_ENABLED && queryText) {
+            const keywordMatches = calculateKeywordScores(queryText, embeddings);
+            topChunks = fuseRankings(promptEmbedding, vectorRanking, keywordMatches, embeddings).slice(0, limit);
+        } else {
+            topChunks = vectorRanking.slice(0, limit);
+        }
 
         // Log results
-        logSimilarityResults(top3SimilarChunks);
+        logSimilarityResults(topChunks);
 
-        return formattedChunksPlainText;
+        return {
+            chunks: topChunks,
+            contextText: formatChunksForLLM(topChunks)
+        };
 
     } catch (error) {
         console.error("Error finding similar chunks:", error);
-        return [];
+        return EMPTY_SEARCH_RESULT;
     }
 }
-
-/**
- * Get the stored top 3 similar chunks
- * @returns {Array} Top 3 similar chunks from last search
- */
-export function getTop3SimilarChunks() {
-    return top3SimilarChunks;
-}
-
-/**
- * Get formatted text content from top 3 similar chunks for Gemini API
- * @returns {string} Combined text content from top 3 chunks
- */
-export function getTop3ChunksText() {
-    if (top3SimilarChunks.length === 0) {
-        return "No relevant context found.";
-    }
-
-    return top3SimilarChunks
-        .map((chunk, index) => `Context ${index + 1} (Score: ${chunk.similarityScore.toFixed(4)}):\n${chunk.text}`)
-        .join("\n\n---\n\n");
-}
\ No newline at end of file
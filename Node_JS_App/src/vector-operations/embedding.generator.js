@@ -1,5 +1,8 @@
-import { generateEmbeddingFromGenAI } from "./../services/genai.service.js";
-import { saveEmbeddingsToFile, listStoredEmbeddings, loadExistingEmbeddings } from "./../store/embedding.store.js";
+import { generateEmbeddingFromGenAI, generateEmbeddingsBatchFromGenAI, getActiveModels } from "./../services/genai.service.js";
+import { saveEmbeddingsToFile, listStoredEmbeddings, loadExistingEmbeddings, loadEmbeddingsFromFile } from "./../store/document.store.js";
+import { loadEmbeddingCheckpoint, startEmbeddingCheckpoint, appendEmbeddingCheckpoint, deleteEmbeddingCheckpoint } from "./../store/embedding-checkpoint.store.js";
+import { withRetry, mapWithConcurrency } from "../utils/async.js";
+import { hashText } from "../utils/util.js";
 import { EMBEDDING_CONFIG } from '../config/app.config.js';
 
 // Global variable to store embeddings
@@ -7,48 +10,178 @@ let chunkEmbeddings = [];
 
 
 
+/**
+ * Check whether stored embeddings of a document were chunked with the given settings
+ * Files saved before chunking strategies existed used the default sentence chunker
+ * @param {string} pdfId - Document identifier
+ * @param {Object} chunking - Requested { strategy, options }, or undefined to accept any
+ * @returns {boolean} True when stored chunks can be reused
+ */
+function isSameChunking(pdfId, chunking) {
+    if (!chunking) {
+        return true;
+    }
+    const storedData = loadEmbeddingsFromFile(pdfId);
+    const storedChunking = storedData?.chunking || {
+        strategy: 'sentence',
+        options: { maxChunkSize: EMBEDDING_CONFIG.CHUNK_SIZE_LIMIT }
+    };
+    return JSON.stringify(storedChunking) === JSON.stringify(chunking);
+}
+
+/**
+ * Check whether stored vectors were made by the active embedding model
+ * Files saved before providers existed do not record a model and were embedded by Gemini
+ * @param {Object} storedData - Stored document
+ * @param {Object} models - Active models from getActiveModels()
+ * @returns {boolean} True when the vectors are comparable with new ones
+ */
+function isSameEmbeddingModel(storedData, models) {
+    if (!storedData.embeddingModel) {
+        return models.embeddingProvider === 'gemini';
+    }
+    return storedData.embeddingProvider === models.embeddingProvider && storedData.embeddingModel === models.embeddingModel;
+}
+
+/**
+ * Collect the vectors of stored documents by chunk text hash, so chunks whose text
+ * did not change are not embedded again
+ * @param {string[]} docIds - Documents to reuse vectors from (e.g. previous versions)
+ * @returns {Map<string, number[]>} Vectors by chunk text hash
+ */
+function collectReusableVectors(docIds) {
+    const models = getActiveModels();
+    const vectors = new Map();
+
+    docIds.forEach(docId => {
+        const data = loadEmbeddingsFromFile(docId);
+        if (!data || !data.chunks || !isSameEmbeddingModel(data, models)) {
+            return;
+        }
+        data.chunks.forEach(chunk => {
+            const values = chunk.embedding?.[0]?.values;
+            if (values && values.length > 0) {
+                vectors.set(chunk.hash || hashText(chunk.text), values);
+            }
+        });
+    });
+
+    return vectors;
+}
+
+/**
+ * Embed texts in batches with a limited number of requests in flight.
+ * Each batch is retried with exponential backoff on 429/5xx errors and recorded in the
+ * document checkpoint as soon as it succeeds, so an interrupted ingest resumes where it stopped.
+ * @param {string[]} texts - Texts to embed
+ * @param {string} pdfId - Document identifier (checkpoint key)
+ * @param {Map<string, number[]>} knownVectors - Vectors already available by text hash, not embedded again
+ * @returns {Promise<Map<string, number[]>>} Vectors by text hash
+ */
+async function embedTextsWithCheckpoint(texts, pdfId, knownVectors = new Map()) {
+    const models = getActiveModels();
+    const completed = loadEmbeddingCheckpoint(pdfId, models);
+    const resumedCount = completed.size;
+    knownVectors.forEach((values, hash) => {
+        if (!completed.has(hash)) completed.set(hash, values);
+    });
+    const pendingHashes = new Map();
+    texts.forEach(text => {
+        const hash = hashText(text);
+        if (!completed.has(hash)) pendingHashes.set(hash, text);
+    });
+
+    if (resumedCount > 0) {
+        console.log(`🔄 Resuming ${pdfId}: ${resumedCount} chunk(s) already embedded, ${pendingHashes.size} to go`);
+    }
+    if (pendingHashes.size === 0) {
+        return completed;
+    }
+
+    const pending = [...pendingHashes.entries()].map(([hash, text]) => ({ hash, text }));
+    const batches = [];
+    for (let i = 0; i < pending.length; i += EMBEDDING_CONFIG.BATCH_SIZE) {
+        batches.push(pending.slice(i, i + EMBEDDING_CONFIG.BATCH_SIZE));
+    }
+
+    startEmbeddingCheckpoint(pdfId, models);
+    let embeddedCount = 0;
+    await mapWithConcurrency(batches, EMBEDDING_CONFIG.CONCURRENCY, async (batch, batchIndex) => {
+        const embeddings = await withRetry(() => generateEmbeddingsBatchFromGenAI(batch.map(item => item.text)), {
+            retries: EMBEDDING_CONFIG.MAX_RETRIES,
+            baseDelayMs: EMBEDDING_CONFIG.RETRY_BASE_DELAY_MS,
+            maxDelayMs: EMBEDDING_CONFIG.RETRY_MAX_DELAY_MS,
+            onRetry: (error, attempt, delayMs) => console.warn(
+                `⚠️ Embedding batch ${batchIndex + 1}/${batches.length} failed with status ${error.status}, retry ${attempt} in ${delayMs}ms`
+            )
+        });
+
+        const entries = batch.map((item, index) => ({ hash: item.hash, values: embeddings[index][0].values }));
+        appendEmbeddingCheckpoint(pdfId, entries);
+        entries.forEach(entry => completed.set(entry.hash, entry.values));
+        embeddedCount += entries.length;
+        console.log(`Embedded batch ${batchIndex + 1}/${batches.length} (${embeddedCount}/${pending.length} chunks)`);
+    });
+
+    return completed;
+}
+
 /**
  * Generate embeddings for text chunks, leveraging existing embeddings if available.
- * @param {Array} chunks - Array of text chunks to generate embeddings for.
+ * @param {Array} chunks - Array of chunks to generate embeddings for: text strings, or
+ *   { text, page, startOffset, endOffset } objects whose location is kept with the embedding.
  * @param {string} filePath - Path to the file for saving/loading embeddings.
  * @param {string} pdfId - Identifier for the associated PDF.
+ * @param {Object} documentMetadata - Extra fields stored with the document, e.g. { chunking: { strategy, options } }.
+ *   Existing embeddings are only reused when they were chunked with the same settings.
+ * @param {string[]} reuseFromDocIds - Other documents (e.g. previous versions) whose vectors are reused
+ *   for chunks with identical text; chunks of this document are always reused the same way.
  * @returns {Promise<Array>} - Array of generated or loaded embeddings.
+ * @throws {Error} When a batch still fails after its retries; finished batches stay in the checkpoint.
  */
-export async function generateChunkEmbeddings(chunks, filePath, pdfId) {
+export async function generateChunkEmbeddings(chunks, filePath, pdfId, documentMetadata = {}, reuseFromDocIds = []) {
     try {
-        // Attempt to load existing embeddings
-        const existingEmbeddings = loadExistingEmbeddings(filePath, pdfId);
+        // Attempt to load existing embeddings, only when they were chunked the same way by the active model
+        const storedData = loadEmbeddingsFromFile(pdfId);
+        const existingEmbeddings = storedData && isSameEmbeddingModel(storedData, getActiveModels()) && isSameChunking(pdfId, documentMetadata.chunking)
+            ? loadExistingEmbeddings(filePath, pdfId)
+            : null;
         if (existingEmbeddings) {
             chunkEmbeddings = existingEmbeddings;
             return chunkEmbeddings;
         }
-        return [];
 
-        chunkEmbeddings = []; // Reset global embeddings
-
-        // Generate embeddings for each chunk
-        for (let i = 0; i < chunks.length; i++) {
-            console.log(`Generating embedding for chunk ${i + 1}/${chunks.length}`);
-            const embeddingValues = await generateEmbeddingFromGenAI(chunks[i]);
-            chunkEmbeddings.push({
-                chunkIndex: i,
-                text: chunks[i],
-                embedding: embeddingValues
-            });
+        // Generate embeddings in batches for new or changed chunks only,
+        // resuming from the checkpoint of an interrupted run
+        const chunkObjects = chunks.map(chunk => (typeof chunk === 'string' ? { text: chunk } : chunk))
+            .map(chunk => ({ ...chunk, hash: chunk.hash || hashText(chunk.text) }));
+        const reusableVectors = collectReusableVectors([pdfId, ...reuseFromDocIds]);
+        const reusedCount = chunkObjects.filter(chunk => reusableVectors.has(chunk.hash)).length;
+        if (reusedCount > 0) {
+            console.log(`♻️ Reusing embeddings of ${reusedCount}/${chunkObjects.length} unchanged chunk(s)`);
         }
+        const vectorsByHash = await embedTextsWithCheckpoint(chunkObjects.map(chunk => chunk.text), pdfId, reusableVectors);
+
+        chunkEmbeddings = chunkObjects.map((chunk, i) => ({
+            chunkIndex: i,
+            ...chunk,
+            embedding: [{ values: vectorsByHash.get(chunk.hash) }]
+        }));
 
         console.log(`Successfully generated embeddings for ${chunkEmbeddings.length} chunks`);
 
         // Save embeddings to file if a file path is provided
         if (filePath) {
-            saveEmbeddingsToFile(filePath, chunks, chunkEmbeddings, pdfId);
+            const { embeddingProvider, embeddingModel } = getActiveModels();
+            saveEmbeddingsToFile(filePath, chunkObjects, chunkEmbeddings, pdfId, { ...documentMetadata, embeddingProvider, embeddingModel });
         }
+        deleteEmbeddingCheckpoint(pdfId);
 
         return chunkEmbeddings;
 
     } catch (error) {
         console.error("Error generating embeddings:", error);
-        return [];
+        throw error;
     }
 }
 
@@ -77,6 +210,7 @@ export function parseEmbeddings(embeddingsArray, pdfId) {
             pdfId: pdfId || null,
             embeddings: embeddingsArray.map(item => ({
                 chunkIndex: item.chunkIndex,
+                page: item.page ?? null,
                 textPreview: item.text.substring(0, EMBEDDING_CONFIG.TEXT_PREVIEW_LENGTH) + "...",
                 embeddings: item.embedding
             }))
@@ -94,10 +228,11 @@ export async function generateEmbeddingsForUserPrompt(prompt) {
 }
 
 /**
- * Load chunk embeddings from saved PDF JSON file
- * @returns {Array} Array of chunk embeddings from the most recent PDF
+ * Load chunk embeddings of every indexed document (or only the requested ones)
+ * @param {string[]|null} docIds - Optional document ids to limit the search to
+ * @returns {Array} Array of chunk embeddings tagged with their source document
  */
-export function loadChunkEmbeddingsFromFile(filePath) {
+export function loadCorpusChunkEmbeddings(docIds = null) {
     try {
         // Get list of stored embeddings
         const storedEmbeddings = listStoredEmbeddings();
@@ -107,24 +242,43 @@ export function loadChunkEmbeddingsFromFile(filePath) {
             return [];
         }
 
-        // Get the most recent PDF embeddings (first in the list)
-        const latestPdfId = storedEmbeddings[0];
+        const selectedDocIds = docIds && docIds.length > 0
+            ? storedEmbeddings.filter(docId => docIds.includes(docId))
+            : storedEmbeddings;
 
+        const corpusEmbeddings = [];
 
-        const loadedEmbeddings = loadExistingEmbeddings(filePath, latestPdfId);
+        for (const docId of selectedDocIds) {
+            const data = loadEmbeddingsFromFile(docId);
+            if (!data || !data.chunks) {
+                continue;
+            }
 
-        if (loadedEmbeddings && loadedEmbeddings.length > 0) {
-            return loadedEmbeddings;
+            const docName = data.docName || data.pdfId || docId;
+            data.chunks.forEach((chunk, index) => {
+                corpusEmbeddings.push({
+                    docId: docId,
+                    docName: docName,
+                    chunkIndex: index,
+                    text: chunk.text,
+                    page: chunk.page ?? null,
+                    startOffset: chunk.startOffset ?? null,
+                    endOffset: chunk.endOffset ?? null,
+                    embedding: chunk.embedding
+                });
+            });
         }
 
-        console.log("No chunk data found in stored embeddings");
-        return [];
+        if (corpusEmbeddings.length === 0) {
+            console.log("No chunk data found in stored embeddings");
+            return [];
+        }
+
+        console.log(`Loaded ${corpusEmbeddings.length} chunk embeddings from ${selectedDocIds.length} document(s)`);
+        return corpusEmbeddings;
 
     } catch (error) {
         console.error("Error loading chunk embeddings from file:", error);
         return [];
     }
 }
-
-
-
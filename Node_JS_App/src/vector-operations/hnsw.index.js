@@ -0,0 +1,401 @@
+import { ANN_CONFIG } from '../config/app.config.js';
+
+/**
+ * Normalise a vector to unit length as a Float32Array, so cosine similarity is a dot product
+ * @param {number[]|Float32Array} values - Vector values
+ * @returns {Float32Array} Unit vector (all zeros stays all zeros)
+ */
+export function normalizeVector(values) {
+    const vector = Float32Array.from(values);
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+        norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) {
+            vector[i] /= norm;
+        }
+    }
+    return vector;
+}
+
+/**
+ * Dot product of two vectors of the same length
+ * @param {Float32Array} a - First vector
+ * @param {Float32Array} b - Second vector
+ * @returns {number} Dot product (cosine similarity for unit vectors)
+ */
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+/**
+ * Deterministic pseudo random generator (mulberry32), so rebuilding an index gives the same graph
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Insert an item into an array kept sorted by descending similarity
+ * @param {Array} list - Array of { id, similarity }
+ * @param {Object} item - Item to insert
+ */
+function insertSorted(list, item) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (list[middle].similarity >= item.similarity) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    list.splice(low, 0, item);
+}
+
+/**
+ * Hierarchical Navigable Small World graph for approximate nearest neighbour search
+ * over unit-length Float32 vectors, ranked by cosine similarity.
+ *
+ * Nodes are identified by a string key (e.g. "docId:chunkIndex"). Removing a node only
+ * marks it deleted: it still routes searches but is never returned. Call compact()
+ * (or check needsCompaction()) to rebuild the graph without deleted nodes.
+ */
+export class HNSWIndex {
+    /**
+     * @param {Object} options - Index parameters
+     * @param {number} options.dimensions - Vector length
+     * @param {number} [options.m] - Links per node on upper layers (layer 0 keeps 2 * m)
+     * @param {number} [options.efConstruction] - Candidate list size while inserting
+     * @param {number} [options.efSearch] - Default candidate list size while searching
+     * @param {number} [options.seed] - Seed of the level generator
+     */
+    constructor({ dimensions, m = ANN_CONFIG.M, efConstruction = ANN_CONFIG.EF_CONSTRUCTION, efSearch = ANN_CONFIG.EF_SEARCH, seed = 42 }) {
+        this.dimensions = dimensions;
+        this.m = m;
+        this.maxLinksLayer0 = m * 2;
+        this.efConstruction = efConstruction;
+        this.efSearch = efSearch;
+        this.seed = seed;
+        this.levelMultiplier = 1 / Math.log(m);
+        this.random = createRandom(seed);
+
+        this.nodes = []; // { key, level, links: number[][], deleted }
+        this.vectors = []; // Float32Array per node
+        this.keyToId = new Map();
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        this.deletedCount = 0;
+    }
+
+    /**
+     * Number of live (not deleted) vectors
+     * @returns {number} Vector count
+     */
+    get size() {
+        return this.nodes.length - this.deletedCount;
+    }
+
+    /**
+     * Check whether a live node exists for a key
+     * @param {string} key - Node key
+     * @returns {boolean} True if present
+     */
+    has(key) {
+        return this.keyToId.has(key);
+    }
+
+    /**
+     * Live node keys
+     * @returns {string[]} Keys
+     */
+    keys() {
+        return [...this.keyToId.keys()];
+    }
+
+    /**
+     * Draw the top layer of a new node
+     * @returns {number} Level (0 = bottom layer only)
+     */
+    randomLevel() {
+        return Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+    }
+
+    /**
+     * Greedy beam search on one layer
+     * @param {Float32Array} query - Unit query vector
+     * @param {number[]} entryIds - Starting nodes
+     * @param {number} ef - Number of closest nodes to keep
+     * @param {number} layer - Layer to search
+     * @returns {Array} Up to ef { id, similarity }, best first (deleted nodes included)
+     */
+    searchLayer(query, entryIds, ef, layer) {
+        const visited = new Set(entryIds);
+        const candidates = [];
+        const results = [];
+
+        entryIds.forEach(id => {
+            const item = { id, similarity: dot(query, this.vectors[id]) };
+            insertSorted(candidates, item);
+            insertSorted(results, item);
+        });
+
+        while (candidates.length > 0) {
+            const current = candidates.shift();
+            if (results.length >= ef && current.similarity < results[results.length - 1].similarity) {
+                break;
+            }
+
+            const links = this.nodes[current.id].links[layer] || [];
+            for (const neighborId of links) {
+                if (visited.has(neighborId)) continue;
+                visited.add(neighborId);
+
+                const similarity = dot(query, this.vectors[neighborId]);
+                if (results.length < ef || similarity > results[results.length - 1].similarity) {
+                    const item = { id: neighborId, similarity };
+                    insertSorted(candidates, item);
+                    insertSorted(results, item);
+                    if (results.length > ef) {
+                        results.pop();
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Pick diverse neighbours: a candidate is kept only if it is closer to the base node
+     * than to every neighbour already kept; free slots are then filled with the closest rest
+     * @param {Array} candidates - { id, similarity } to the base node, best first
+     * @param {number} count - Maximum neighbours
+     * @returns {number[]} Selected node ids
+     */
+    selectNeighbors(candidates, count) {
+        const selected = [];
+        const pruned = [];
+
+        for (const candidate of candidates) {
+            if (selected.length >= count) break;
+            const candidateVector = this.vectors[candidate.id];
+            const isDiverse = selected.every(item => dot(candidateVector, this.vectors[item.id]) < candidate.similarity);
+            (isDiverse ? selected : pruned).push(candidate);
+        }
+
+        for (const candidate of pruned) {
+            if (selected.length >= count) break;
+            selected.push(candidate);
+        }
+
+        return selected.map(item => item.id);
+    }
+
+    /**
+     * Add a vector to the index (replaces an existing vector with the same key)
+     * @param {string} key - Node key
+     * @param {number[]|Float32Array} values - Vector values, normalised on insert
+     */
+    add(key, values) {
+        if (values.length !== this.dimensions) {
+            throw new Error(`Vector has ${values.length} dimensions, index expects ${this.dimensions}`);
+        }
+        if (this.keyToId.has(key)) {
+            this.remove(key);
+        }
+
+        const id = this.nodes.length;
+        const vector = normalizeVector(values);
+        const level = this.randomLevel();
+        this.nodes.push({ key, level, links: Array.from({ length: level + 1 }, () => []), deleted: false });
+        this.vectors.push(vector);
+        this.keyToId.set(key, id);
+
+        if (this.entryPoint === -1) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+            return;
+        }
+
+        // Descend greedily through the layers above the new node
+        let entryIds = [this.entryPoint];
+        for (let layer = this.maxLevel; layer > level; layer--) {
+            entryIds = [this.searchLayer(vector, entryIds, 1, layer)[0].id];
+        }
+
+        // Link the node on each of its layers
+        for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+            const candidates = this.searchLayer(vector, entryIds, this.efConstruction, layer);
+            const maxLinks = layer === 0 ? this.maxLinksLayer0 : this.m;
+            const neighbors = this.selectNeighbors(candidates, this.m);
+            this.nodes[id].links[layer] = neighbors;
+
+            neighbors.forEach(neighborId => {
+                const neighborLinks = this.nodes[neighborId].links[layer];
+                neighborLinks.push(id);
+                if (neighborLinks.length > maxLinks) {
+                    const neighborVector = this.vectors[neighborId];
+                    const ranked = neighborLinks
+                        .map(linkId => ({ id: linkId, similarity: dot(neighborVector, this.vectors[linkId]) }))
+                        .sort((a, b) => b.similarity - a.similarity);
+                    this.nodes[neighborId].links[layer] = this.selectNeighbors(ranked, maxLinks);
+                }
+            });
+
+            entryIds = candidates.map(candidate => candidate.id);
+        }
+
+        if (level > this.maxLevel) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+        }
+    }
+
+    /**
+     * Mark a vector deleted
+     * @param {string} key - Node key
+     * @returns {boolean} True if the key was present
+     */
+    remove(key) {
+        const id = this.keyToId.get(key);
+        if (id === undefined) {
+            return false;
+        }
+        this.nodes[id].deleted = true;
+        this.keyToId.delete(key);
+        this.deletedCount++;
+        return true;
+    }
+
+    /**
+     * Find the vectors most similar to a query
+     * @param {number[]|Float32Array} values - Query vector
+     * @param {number} k - Number of results
+     * @param {Object} options - Search options
+     * @param {number} [options.ef] - Candidate list size, raised to at least k
+     * @param {Function} [options.filter] - Predicate on keys, only matching nodes are returned
+     * @returns {Array} Up to k { key, similarity }, best first
+     */
+    search(values, k, { ef = this.efSearch, filter = null } = {}) {
+        if (this.size === 0 || values.length !== this.dimensions) {
+            return [];
+        }
+
+        const query = normalizeVector(values);
+        let entryIds = [this.entryPoint];
+        for (let layer = this.maxLevel; layer > 0; layer--) {
+            entryIds = [this.searchLayer(query, entryIds, 1, layer)[0].id];
+        }
+
+        // Deleted and filtered out nodes still take candidate slots, so widen the beam for them
+        const hiddenRatio = this.deletedCount / this.nodes.length;
+        const beamWidth = Math.ceil(Math.max(ef, k) / Math.max(1 - hiddenRatio, 0.1)) * (filter ? 2 : 1);
+
+        return this.searchLayer(query, entryIds, beamWidth, 0)
+            .filter(item => !this.nodes[item.id].deleted && (!filter || filter(this.nodes[item.id].key)))
+            .slice(0, k)
+            .map(item => ({ key: this.nodes[item.id].key, similarity: item.similarity }));
+    }
+
+    /**
+     * Check whether enough nodes are deleted to be worth rebuilding the graph
+     * @param {number} maxDeletedRatio - Allowed share of deleted nodes
+     * @returns {boolean} True if compact() should run
+     */
+    needsCompaction(maxDeletedRatio = ANN_CONFIG.MAX_DELETED_RATIO) {
+        return this.nodes.length > 0 && this.deletedCount / this.nodes.length > maxDeletedRatio;
+    }
+
+    /**
+     * Rebuild the graph from the live vectors only
+     * @returns {HNSWIndex} A new index without deleted nodes
+     */
+    compact() {
+        const index = new HNSWIndex({
+            dimensions: this.dimensions,
+            m: this.m,
+            efConstruction: this.efConstruction,
+            efSearch: this.efSearch,
+            seed: this.seed
+        });
+        this.nodes.forEach((node, id) => {
+            if (!node.deleted) {
+                index.add(node.key, this.vectors[id]);
+            }
+        });
+        return index;
+    }
+
+    /**
+     * Serialise the index: graph as JSON, vectors packed in node order
+     * @returns {Object} { graph, vectors } where vectors is a Float32Array
+     */
+    serialize() {
+        const vectors = new Float32Array(this.nodes.length * this.dimensions);
+        this.vectors.forEach((vector, id) => vectors.set(vector, id * this.dimensions));
+
+        return {
+            graph: {
+                version: 1,
+                dimensions: this.dimensions,
+                m: this.m,
+                efConstruction: this.efConstruction,
+                efSearch: this.efSearch,
+                seed: this.seed,
+                entryPoint: this.entryPoint,
+                maxLevel: this.maxLevel,
+                nodes: this.nodes
+            },
+            vectors
+        };
+    }
+
+    /**
+     * Restore an index saved with serialize()
+     * @param {Object} graph - Graph JSON
+     * @param {Float32Array} vectors - Packed vectors
+     * @returns {HNSWIndex} Restored index
+     */
+    static deserialize(graph, vectors) {
+        const index = new HNSWIndex({
+            dimensions: graph.dimensions,
+            m: graph.m,
+            efConstruction: graph.efConstruction,
+            efSearch: graph.efSearch,
+            seed: graph.seed
+        });
+        // Keep later inserts deterministic relative to the restored state
+        index.random = createRandom(graph.seed + graph.nodes.length);
+        index.nodes = graph.nodes;
+        index.entryPoint = graph.entryPoint;
+        index.maxLevel = graph.maxLevel;
+
+        graph.nodes.forEach((node, id) => {
+            index.vectors.push(vectors.subarray(id * graph.dimensions, (id + 1) * graph.dimensions));
+            if (node.deleted) {
+                index.deletedCount++;
+            } else {
+                index.keyToId.set(node.key, id);
+            }
+        });
+
+        return index;
+    }
+}
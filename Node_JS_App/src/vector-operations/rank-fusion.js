@@ -0,0 +1,29 @@
+import { RETRIEVAL_CONFIG } from '../config/app.config.js';
+
+/**
+ * Merge several rankings of the same items with weighted reciprocal rank fusion:
+ * fusedScore = sum over rankings of weight / (k + rank), rank starting at 1.
+ * Items missing from a ranking get nothing from it.
+ * @param {Array} rankings - Array of { items, weight }, items ordered best first
+ * @param {Function} getKey - Returns the identity of an item (e.g. `${docId}:${chunkIndex}`)
+ * @param {number} k - Damping constant, larger values flatten the gap between top ranks
+ * @returns {Array} Array of { key, fusedScore, ranks } ordered best first, ranks has one entry
+ *   per ranking (null when the item is absent from it)
+ */
+export function reciprocalRankFusion(rankings, getKey, k = RETRIEVAL_CONFIG.RRF_K) {
+    const fused = new Map();
+
+    rankings.forEach(({ items, weight }, rankingIndex) => {
+        items.forEach((item, position) => {
+            const key = getKey(item);
+            if (!fused.has(key)) {
+                fused.set(key, { key, fusedScore: 0, ranks: rankings.map(() => null) });
+            }
+            const entry = fused.get(key);
+            entry.fusedScore += weight / (k + position + 1);
+            entry.ranks[rankingIndex] = position + 1;
+        });
+    });
+
+    return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore);
+}